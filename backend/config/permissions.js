@@ -0,0 +1,53 @@
+/**
+ * Named permissions and the roles that grant them.
+ * Routes check permissions, never role names, so a role can be
+ * widened or narrowed here without touching any route.
+ */
+const PERMISSIONS = {
+  PROJECTS_WRITE: 'projects:write',
+  PROJECTS_DELETE: 'projects:delete',
+  PROJECTS_STATS: 'projects:stats',
+  BLOG_WRITE: 'blog:write',
+  BLOG_DELETE: 'blog:delete',
+  BLOG_SYNC: 'blog:sync',
+  BLOG_STATS: 'blog:stats',
+  BLOG_SOURCES: 'blog:sources',
+  BLOG_TAGS: 'blog:tags',
+  COMMENTS_MODERATE: 'comments:moderate',
+  COMMENTS_BAN: 'comments:ban',
+  NEWSLETTER_MANAGE: 'newsletter:manage',
+  CONTACT_READ: 'contact:read',
+  CONTACT_UPDATE: 'contact:update',
+  CONTACT_DELETE: 'contact:delete',
+  USERS_MANAGE: 'users:manage',
+  TOKENS_MANAGE: 'tokens:manage',
+  AUDIT_READ: 'audit:read',
+  SECURITY_REVIEW: 'security:review',
+};
+
+const ROLE_PERMISSIONS = {
+  admin: Object.values(PERMISSIONS),
+  editor: [
+    PERMISSIONS.PROJECTS_WRITE,
+    PERMISSIONS.PROJECTS_STATS,
+    PERMISSIONS.BLOG_WRITE,
+    PERMISSIONS.BLOG_SYNC,
+    PERMISSIONS.BLOG_STATS,
+    PERMISSIONS.BLOG_TAGS,
+    PERMISSIONS.COMMENTS_MODERATE,
+    PERMISSIONS.CONTACT_READ,
+  ],
+};
+
+/**
+ * Get the effective permissions for a role
+ */
+const getRolePermissions = (role) => {
+  return ROLE_PERMISSIONS[role] || [];
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  getRolePermissions,
+};
@@ -0,0 +1,178 @@
+const ApiToken = require('../models/ApiToken');
+const auditService = require('../services/auditService');
+const logger = require('../utils/logger');
+const { validationResult } = require('express-validator');
+
+/**
+ * Shape an API token document for API responses (never includes the hash)
+ */
+const formatApiToken = (apiToken) => ({
+  id: apiToken._id,
+  name: apiToken.name,
+  tokenPreview: apiToken.tokenPreview,
+  scopes: apiToken.scopes,
+  expiresAt: apiToken.expiresAt,
+  lastUsedAt: apiToken.lastUsedAt,
+  lastUsedIp: apiToken.lastUsedIp,
+  revokedAt: apiToken.revokedAt,
+  isActive: apiToken.isActive,
+  createdAt: apiToken.createdAt,
+});
+
+/**
+ * @desc    List the current user's API tokens
+ * @route   GET /api/auth/tokens
+ * @access  Private (tokens:manage)
+ */
+const getApiTokens = async (req, res) => {
+  try {
+    const tokens = await ApiToken.find({ user: req.user._id })
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      status: 'success',
+      results: tokens.length,
+      data: {
+        tokens: tokens.map(formatApiToken),
+      },
+    });
+  } catch (error) {
+    logger.error('Error fetching API tokens:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching API tokens',
+    });
+  }
+};
+
+/**
+ * @desc    Create a scoped API token
+ * @route   POST /api/auth/tokens
+ * @access  Private (tokens:manage)
+ */
+const createApiToken = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const { name, scopes, expiresAt } = req.body;
+
+    // A token can never do more than the user who created it
+    const invalidScopes = scopes.filter(scope => !req.user.hasPermission(scope));
+
+    if (invalidScopes.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: `You cannot grant scopes you do not have: ${invalidScopes.join(', ')}`,
+      });
+    }
+
+    const { apiToken, token } = await ApiToken.createForUser(req.user, {
+      name,
+      scopes: [...new Set(scopes)],
+      expiresAt: expiresAt || null,
+    });
+
+    await auditService.record(req, {
+      action: 'api_token.create',
+      targetModel: 'ApiToken',
+      targetId: apiToken._id,
+      after: apiToken,
+    });
+
+    logger.info(`API token "${apiToken.name}" created by ${req.user.username} with scopes: ${apiToken.scopes.join(', ')}`);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'API token created. Copy it now; it will not be shown again.',
+      data: {
+        token,
+        apiToken: formatApiToken(apiToken),
+      },
+    });
+  } catch (error) {
+    logger.error('Error creating API token:', error);
+
+    if (error.name === 'ValidationError') {
+      const errorMessages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errorMessages,
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Error creating API token',
+    });
+  }
+};
+
+/**
+ * @desc    Revoke an API token
+ * @route   DELETE /api/auth/tokens/:id
+ * @access  Private (tokens:manage)
+ */
+const revokeApiToken = async (req, res) => {
+  try {
+    const apiToken = await ApiToken.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+    });
+
+    if (!apiToken) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'API token not found',
+      });
+    }
+
+    if (!apiToken.revokedAt) {
+      const before = apiToken.toObject();
+      await apiToken.revoke();
+
+      await auditService.record(req, {
+        action: 'api_token.revoke',
+        targetModel: 'ApiToken',
+        targetId: apiToken._id,
+        before,
+        after: apiToken,
+      });
+    }
+
+    logger.info(`API token "${apiToken.name}" revoked by ${req.user.username}`);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'API token revoked successfully',
+    });
+  } catch (error) {
+    logger.error('Error revoking API token:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        status: 'error',
+        message: 'API token not found',
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Error revoking API token',
+    });
+  }
+};
+
+module.exports = {
+  getApiTokens,
+  createApiToken,
+  revokeApiToken,
+};
@@ -0,0 +1,76 @@
+const AuditLog = require('../models/AuditLog');
+const logger = require('../utils/logger');
+const { validationResult } = require('express-validator');
+
+/**
+ * @desc    Get audit log entries with filtering and pagination
+ * @route   GET /api/audit-logs
+ * @access  Private (audit:read)
+ */
+const getAuditLogs = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const {
+      actor,
+      action,
+      targetModel,
+      targetId,
+      from,
+      to,
+      limit = 50,
+      page = 1,
+    } = req.query;
+
+    // Build query
+    let query = {};
+
+    if (actor) query.actor = actor;
+    if (action) query.action = action;
+    if (targetModel) query.targetModel = targetModel;
+    if (targetId) query.targetId = targetId;
+
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    // Execute query with pagination
+    const entries = await AuditLog.find(query)
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    const total = await AuditLog.countDocuments(query);
+
+    res.status(200).json({
+      status: 'success',
+      results: entries.length,
+      totalResults: total,
+      totalPages: Math.ceil(total / parseInt(limit)),
+      currentPage: parseInt(page),
+      data: {
+        entries,
+      },
+    });
+  } catch (error) {
+    logger.error('Error fetching audit log:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching audit log',
+    });
+  }
+};
+
+module.exports = {
+  getAuditLogs,
+};
@@ -1,7 +1,91 @@
 const User = require('../models/User');
+const Session = require('../models/Session');
+const mailService = require('../services/mailService');
+const loginThrottle = require('../services/loginThrottle');
 const logger = require('../utils/logger');
+const {
+  isCookieAuthEnabled,
+  setAuthCookies,
+  clearAuthCookies,
+  hasValidCsrfToken,
+  getRequestRefreshToken,
+} = require('../utils/authCookies');
 const { validationResult } = require('express-validator');
 
+/**
+ * Deliver tokens as httpOnly cookies (cookie mode) or in the response body.
+ * Bearer stays the default, clients opt into cookies per request with `X-Auth-Mode: cookie`.
+ */
+const deliverTokens = (res, { token, refreshToken, session }, viaCookies) => {
+  if (viaCookies) {
+    const csrfToken = setAuthCookies(res, {
+      token,
+      refreshToken,
+      refreshExpiresAt: session.expiresAt,
+    });
+    return { csrfToken };
+  }
+
+  return { token, refreshToken };
+};
+
+/**
+ * Reject the attempt with 429 if the login throttle says the client must wait
+ */
+const rejectIfThrottled = (req, res, username) => {
+  const retryAfterMs = loginThrottle.getRetryAfter(req.ip, username);
+  if (retryAfterMs <= 0) return false;
+
+  const retryAfter = Math.ceil(retryAfterMs / 1000);
+  logger.warn(`Throttled login attempt for user: ${username} from IP: ${req.ip} (retry in ${retryAfter}s)`);
+
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({
+    status: 'error',
+    message: `Too many failed login attempts. Please try again in ${retryAfter} seconds.`,
+    retryAfter,
+  });
+  return true;
+};
+
+/**
+ * Finish a successful login: open a session and send the tokens
+ */
+const sendLoginResponse = async (user, req, res) => {
+  // Reset login attempts on successful login
+  await user.resetLoginAttempts();
+  loginThrottle.recordSuccess(req.ip, user.username);
+
+  // Open a server-side session and issue a short-lived access token for it
+  const { session, refreshToken } = await Session.createForUser(user, req);
+  const token = user.getSignedJwtToken(session._id);
+
+  // Log successful login
+  logger.info(`User ${user.username} logged in successfully from IP: ${req.ip}`);
+
+  // Don't send password in response
+  const userResponse = {
+    id: user._id,
+    username: user.username,
+    email: user.email,
+    role: user.role,
+    permissions: user.permissions,
+    lastLogin: user.lastLogin,
+  };
+
+  // Opt-in, so existing bearer clients keep getting tokens in the body
+  const viaCookies = isCookieAuthEnabled() && req.get('X-Auth-Mode') === 'cookie';
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Login successful',
+    data: {
+      user: userResponse,
+      ...deliverTokens(res, { token, refreshToken, session }, viaCookies),
+    },
+  });
+};
+
 /**
  * @desc    Login user & get token
  * @route   POST /api/auth/login
@@ -21,10 +105,16 @@ const login = async (req, res) => {
 
     const { username, password } = req.body;
 
+    // Progressive delays keyed on IP and username
+    if (rejectIfThrottled(req, res, username)) return;
+
     // Check if user exists (include password for comparison)
     const user = await User.findOne({ username }).select('+password');
 
     if (!user) {
+      await loginThrottle.recordFailure(req.ip, username);
+      logger.warn(`Failed login attempt for unknown user: ${username} from IP: ${req.ip}`);
+
       return res.status(401).json({
         status: 'error',
         message: 'Invalid credentials',
@@ -53,6 +143,7 @@ const login = async (req, res) => {
     if (!isMatch) {
       // Increment failed login attempts
       await user.incLoginAttempts();
+      await loginThrottle.recordFailure(req.ip, username);
       
       logger.warn(`Failed login attempt for user: ${username} from IP: ${req.ip}`);
       
@@ -62,37 +153,204 @@ const login = async (req, res) => {
       });
     }
 
-    // Reset login attempts on successful login
-    await user.resetLoginAttempts();
+    // With 2FA enabled the password only earns a short-lived challenge token
+    if (user.twoFactorEnabled) {
+      logger.info(`Password accepted for user ${username}, awaiting 2FA code from IP: ${req.ip}`);
+
+      return res.status(200).json({
+        status: 'success',
+        message: 'Two-factor authentication code required',
+        data: {
+          twoFactorRequired: true,
+          twoFactorToken: user.getTwoFactorChallengeToken(),
+        },
+      });
+    }
+
+    await sendLoginResponse(user, req, res);
+  } catch (error) {
+    logger.error('Login error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error during login',
+    });
+  }
+};
+
+/**
+ * @desc    Complete login with a TOTP or recovery code
+ * @route   POST /api/auth/login/2fa
+ * @access  Public
+ */
+const loginTwoFactor = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const { twoFactorToken, code, recoveryCode } = req.body;
+
+    const userId = User.verifyTwoFactorChallengeToken(twoFactorToken);
+
+    if (!userId) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Two-factor session is invalid or has expired. Please log in again.',
+      });
+    }
+
+    const user = await User.findById(userId)
+      .select('+twoFactorSecret +twoFactorLastUsedStep +twoFactorRecoveryCodes');
+
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Two-factor session is invalid or has expired. Please log in again.',
+      });
+    }
+
+    if (rejectIfThrottled(req, res, user.username)) return;
+
+    // Check if account is locked
+    if (user.isLocked) {
+      return res.status(423).json({
+        status: 'error',
+        message: 'Account temporarily locked due to too many failed login attempts. Please try again later.',
+      });
+    }
+
+    // Check if account is active
+    if (!user.isActive) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Account is deactivated. Please contact administrator.',
+      });
+    }
+
+    const isValid = recoveryCode
+      ? user.useRecoveryCode(recoveryCode)
+      : user.verifyTwoFactorCode(code);
+
+    if (!isValid) {
+      // Wrong codes are throttled the same way as wrong passwords
+      await user.incLoginAttempts();
+      await loginThrottle.recordFailure(req.ip, user.username);
+
+      logger.warn(`Failed 2FA attempt for user: ${user.username} from IP: ${req.ip}`);
+
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid two-factor authentication code',
+      });
+    }
+
+    // Persist the used TOTP step or the consumed recovery code
+    await user.save({ validateBeforeSave: false });
+
+    if (recoveryCode) {
+      logger.warn(`Recovery code used by user ${user.username}, ${user.twoFactorRecoveryCodes.length} remaining`);
+    }
+
+    await sendLoginResponse(user, req, res);
+  } catch (error) {
+    logger.error('Two-factor login error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error during login',
+    });
+  }
+};
+
+/**
+ * @desc    Exchange a refresh token for a new access token
+ * @route   POST /api/auth/refresh
+ * @access  Public
+ */
+const refresh = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const { refreshToken, fromCookie } = getRequestRefreshToken(req);
 
-    // Generate JWT token
-    const token = user.getSignedJwtToken();
+    if (!refreshToken) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Refresh token is required',
+      });
+    }
 
-    // Log successful login
-    logger.info(`User ${username} logged in successfully from IP: ${req.ip}`);
+    if (fromCookie && !hasValidCsrfToken(req)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Invalid or missing CSRF token',
+      });
+    }
+
+    const session = await Session.findByRefreshToken(refreshToken);
+
+    if (!session) {
+      // A rotated token being replayed means it leaked, so end that session
+      const reusedSession = await Session.findByRotatedToken(refreshToken);
+
+      if (reusedSession && !reusedSession.revokedAt) {
+        await reusedSession.revoke('refresh_token_reuse');
+        logger.warn(`Refresh token reuse detected for session ${reusedSession._id} from IP: ${req.ip}`);
+      }
+
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid refresh token',
+      });
+    }
+
+    if (!session.isActive) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Session has expired or been revoked. Please log in again.',
+      });
+    }
+
+    const user = await User.findById(session.user);
+
+    if (!user || !user.isActive) {
+      await session.revoke('user_inactive');
+      return res.status(401).json({
+        status: 'error',
+        message: 'Account is deactivated. Please contact administrator.',
+      });
+    }
 
-    // Don't send password in response
-    const userResponse = {
-      id: user._id,
-      username: user.username,
-      email: user.email,
-      role: user.role,
-      lastLogin: user.lastLogin,
-    };
+    // Rotate the refresh token so each one can only be used once
+    session.lastSeenAt = new Date();
+    session.ipAddress = req.ip || session.ipAddress;
+    const newRefreshToken = await session.rotate();
+    const token = user.getSignedJwtToken(session._id);
 
+    // Answer the same way the refresh token arrived, so cookie tokens never reach JavaScript
     res.status(200).json({
       status: 'success',
-      message: 'Login successful',
-      data: {
-        user: userResponse,
-        token,
-      },
+      message: 'Token refreshed successfully',
+      data: deliverTokens(res, { token, refreshToken: newRefreshToken, session }, fromCookie),
     });
   } catch (error) {
-    logger.error('Login error:', error);
+    logger.error('Token refresh error:', error);
     res.status(500).json({
       status: 'error',
-      message: 'Server error during login',
+      message: 'Server error during token refresh',
     });
   }
 };
@@ -121,6 +379,8 @@ const getMe = async (req, res) => {
           username: user.username,
           email: user.email,
           role: user.role,
+          permissions: user.permissions,
+          twoFactorEnabled: user.twoFactorEnabled,
           lastLogin: user.lastLogin,
           createdAt: user.createdAt,
         },
@@ -246,11 +506,14 @@ const changePassword = async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    // Keep this session, sign out everywhere else
+    await Session.revokeAllForUser(user._id, 'password_changed', req.authSession._id);
+
     logger.info(`Password changed for user: ${user.username}`);
 
     res.status(200).json({
       status: 'success',
-      message: 'Password updated successfully',
+      message: 'Password updated successfully. All other sessions have been signed out.',
     });
   } catch (error) {
     logger.error('Error changing password:', error);
@@ -261,6 +524,327 @@ const changePassword = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Start two-factor enrollment
+ * @route   POST /api/auth/2fa/setup
+ * @access  Private
+ */
+const setupTwoFactor = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('+password');
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found',
+      });
+    }
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Two-factor authentication is already enabled',
+      });
+    }
+
+    // Re-check the password before handing out a new secret
+    const isMatch = await user.matchPassword(req.body.password);
+
+    if (!isMatch) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Password is incorrect',
+      });
+    }
+
+    const { secret, otpauthUrl } = user.setupTwoFactor();
+    await user.save({ validateBeforeSave: false });
+
+    logger.info(`2FA enrollment started for user: ${user.username}`);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Scan the QR code with your authenticator app, then verify a code to enable 2FA',
+      data: {
+        secret,
+        otpauthUrl,
+      },
+    });
+  } catch (error) {
+    logger.error('Error starting 2FA setup:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error starting two-factor setup',
+    });
+  }
+};
+
+/**
+ * @desc    Confirm enrollment with a TOTP code and enable 2FA
+ * @route   POST /api/auth/2fa/verify
+ * @access  Private
+ */
+const verifyTwoFactor = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const user = await User.findById(req.user.id)
+      .select('+twoFactorSecret +twoFactorLastUsedStep +twoFactorRecoveryCodes');
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found',
+      });
+    }
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Two-factor authentication is already enabled',
+      });
+    }
+
+    if (!user.twoFactorSecret) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Two-factor setup has not been started',
+      });
+    }
+
+    if (!user.verifyTwoFactorCode(req.body.code)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid two-factor authentication code',
+      });
+    }
+
+    user.twoFactorEnabled = true;
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save({ validateBeforeSave: false });
+
+    logger.info(`2FA enabled for user: ${user.username}`);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; they will not be shown again.',
+      data: {
+        recoveryCodes,
+      },
+    });
+  } catch (error) {
+    logger.error('Error verifying 2FA setup:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error enabling two-factor authentication',
+    });
+  }
+};
+
+/**
+ * @desc    Disable two-factor authentication
+ * @route   POST /api/auth/2fa/disable
+ * @access  Private
+ */
+const disableTwoFactor = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const { password, code, recoveryCode } = req.body;
+
+    const user = await User.findById(req.user.id)
+      .select('+password +twoFactorSecret +twoFactorLastUsedStep +twoFactorRecoveryCodes');
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found',
+      });
+    }
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Two-factor authentication is not enabled',
+      });
+    }
+
+    const isMatch = await user.matchPassword(password);
+    const isValid = recoveryCode
+      ? user.useRecoveryCode(recoveryCode)
+      : user.verifyTwoFactorCode(code);
+
+    if (!isMatch || !isValid) {
+      logger.warn(`Failed attempt to disable 2FA for user: ${user.username} from IP: ${req.ip}`);
+      return res.status(401).json({
+        status: 'error',
+        message: 'Password or two-factor authentication code is incorrect',
+      });
+    }
+
+    user.disableTwoFactor();
+    await user.save({ validateBeforeSave: false });
+
+    logger.info(`2FA disabled for user: ${user.username}`);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Two-factor authentication disabled',
+    });
+  } catch (error) {
+    logger.error('Error disabling 2FA:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error disabling two-factor authentication',
+    });
+  }
+};
+
+/**
+ * @desc    Request a password reset email
+ * @route   POST /api/auth/forgot-password
+ * @access  Public
+ */
+const forgotPassword = async (req, res) => {
+  // Same response whether or not the account exists, to avoid user enumeration
+  const genericResponse = {
+    status: 'success',
+    message: 'If an account with that email exists, a password reset link has been sent.',
+  };
+
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const { email } = req.body;
+
+    const user = await User.findOne({ email });
+
+    if (!user || !user.isActive) {
+      logger.warn(`Password reset requested for unknown or inactive email: ${email} from IP: ${req.ip}`);
+      return res.status(200).json(genericResponse);
+    }
+
+    const resetToken = user.getResetPasswordToken();
+    await user.save({ validateBeforeSave: false });
+
+    const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/reset-password/${resetToken}`;
+
+    try {
+      await mailService.sendMail({
+        to: user.email,
+        subject: 'Password reset request',
+        text: `A password reset was requested for your account (${user.username}).\n\n` +
+          `Reset your password here: ${resetUrl}\n\n` +
+          'This link can only be used once and expires shortly. If you did not request it, you can ignore this email.',
+      });
+    } catch (mailError) {
+      user.resetPasswordToken = null;
+      user.resetPasswordExpire = null;
+      await user.save({ validateBeforeSave: false });
+
+      // Same answer as for unknown emails, so a failing transport doesn't reveal which accounts exist
+      logger.error(`Password reset email could not be sent for user: ${user.username}`, mailError);
+      return res.status(200).json(genericResponse);
+    }
+
+    logger.info(`Password reset requested for user: ${user.username} from IP: ${req.ip}`);
+
+    res.status(200).json(genericResponse);
+  } catch (error) {
+    logger.error('Forgot password error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error processing password reset request',
+    });
+  }
+};
+
+/**
+ * @desc    Reset password using a reset token
+ * @route   POST /api/auth/reset-password/:token
+ * @access  Public
+ */
+const resetPassword = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const user = await User.findByResetToken(req.params.token).select('+password');
+
+    if (!user) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Password reset token is invalid or has expired',
+      });
+    }
+
+    // Set the new password and burn the token so it cannot be used again
+    user.password = req.body.password;
+    user.resetPasswordToken = null;
+    user.resetPasswordExpire = null;
+    user.loginAttempts = 0;
+    user.lockUntil = null;
+    await user.save();
+
+    // Sign out every existing session
+    await Session.revokeAllForUser(user._id, 'password_reset');
+
+    logger.info(`Password reset completed for user: ${user.username} from IP: ${req.ip}`);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Password has been reset successfully. Please log in with your new password.',
+    });
+  } catch (error) {
+    logger.error('Reset password error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error resetting password',
+    });
+  }
+};
+
 /**
  * @desc    Logout user
  * @route   POST /api/auth/logout
@@ -268,9 +852,10 @@ const changePassword = async (req, res) => {
  */
 const logout = async (req, res) => {
   try {
-    // Since we're using JWT tokens, we can't really "logout" server-side
-    // The client should remove the token from storage
-    
+    // Revoke the session so both its access and refresh tokens stop working
+    await req.authSession.revoke('logout');
+    clearAuthCookies(res);
+
     logger.info(`User ${req.user.username} logged out`);
 
     res.status(200).json({
@@ -288,8 +873,15 @@ const logout = async (req, res) => {
 
 module.exports = {
   login,
+  loginTwoFactor,
+  refresh,
   getMe,
   updateProfile,
   changePassword,
+  setupTwoFactor,
+  verifyTwoFactor,
+  disableTwoFactor,
+  forgotPassword,
+  resetPassword,
   logout,
 };
\ No newline at end of file
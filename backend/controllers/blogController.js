@@ -1,8 +1,64 @@
 const BlogPost = require('../models/BlogPost');
-const mediumService = require('../services/mediumService');
+const Comment = require('../models/Comment');
+const PostLike = require('../models/PostLike');
+const PostViewDaily = require('../models/PostViewDaily');
+const Series = require('../models/Series');
+const blogSyncService = require('../services/blogSyncService');
+const auditService = require('../services/auditService');
+const syncScheduler = require('../services/syncScheduler');
+const viewService = require('../services/viewService');
+const feedService = require('../services/feedService');
+const tagService = require('../services/tagService');
+const relatedPostsService = require('../services/relatedPostsService');
 const logger = require('../utils/logger');
+const { stripHtml, extractTags, extractCategories } = require('../utils/content');
+const { parseSearchQuery, highlight, buildSnippet } = require('../utils/search');
+const { getVisitorHash } = require('../utils/visitor');
 const { validationResult } = require('express-validator');
 
+// Fields only native posts can change, synced posts are overwritten by the next sync
+const NATIVE_FIELDS = [
+  'title',
+  'markdown',
+  'description',
+  'tags',
+  'categories',
+  'imageUrl',
+  'author',
+  'publishedAt',
+  'metaTitle',
+  'metaDescription',
+];
+
+/**
+ * Copy native post fields from the request body, normalizing tags and aliases like sync does
+ */
+const applyNativeFields = (post, body, aliases) => {
+  NATIVE_FIELDS.forEach(field => {
+    if (body[field] === undefined) return;
+
+    if (field === 'tags') {
+      post.tags = extractTags(body.tags, aliases);
+    } else if (field === 'categories') {
+      post.categories = extractCategories(body.categories);
+    } else {
+      post[field] = body[field];
+    }
+  });
+};
+
+// Add the number of approved comments to each post of a list response
+const withCommentCounts = async (posts) => {
+  if (posts.length === 0) return posts;
+
+  const counts = await Comment.countApproved(posts.map(post => post._id));
+
+  return posts.map(post => ({
+    ...(typeof post.toJSON === 'function' ? post.toJSON() : post),
+    commentCount: counts.get(String(post._id)) || 0,
+  }));
+};
+
 /**
  * @desc    Get all blog posts with pagination and filtering
  * @route   GET /api/blog
@@ -17,7 +73,7 @@ const getBlogPosts = async (req, res) => {
       tags,
       categories,
       search,
-      sort = '-publishedAt',
+      sort,
     } = req.query;
 
     // Build query
@@ -28,7 +84,7 @@ const getBlogPosts = async (req, res) => {
     }
 
     if (tags) {
-      const tagArray = tags.split(',').map(tag => tag.trim());
+      const tagArray = await tagService.canonicalize(tags.split(','));
       query.tags = { $in: tagArray };
     }
 
@@ -37,30 +93,58 @@ const getBlogPosts = async (req, res) => {
       query.categories = { $in: categoryArray };
     }
 
-    if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } },
-        { content: { $regex: search, $options: 'i' } },
-        { tags: { $in: [new RegExp(search, 'i')] } },
-      ];
+    // Weighted text search (see the text index on BlogPost)
+    const searchQuery = parseSearchQuery(search);
+
+    if (searchQuery.text) {
+      query.$text = { $search: searchQuery.text };
+    }
+
+    // Search results are ranked by relevance unless a sort is requested
+    let postQuery;
+    if (searchQuery.text) {
+      postQuery = BlogPost.find(query, { score: { $meta: 'textScore' } })
+        .sort(sort || { score: { $meta: 'textScore' }, publishedAt: -1 })
+        .select('-markdown'); // Content is needed for snippets, removed below
+    } else {
+      postQuery = BlogPost.find(query)
+        .sort(sort || '-publishedAt')
+        .select('-content -markdown'); // Exclude full content for list view
     }
 
     // Execute query with pagination
-    const posts = await BlogPost.find(query)
-      .sort(sort)
+    let posts = await postQuery
       .limit(parseInt(limit))
-      .skip((parseInt(page) - 1) * parseInt(limit))
-      .select('-content'); // Exclude full content for list view
+      .skip((parseInt(page) - 1) * parseInt(limit));
 
     const total = await BlogPost.countDocuments(query);
 
+    if (searchQuery.text) {
+      posts = posts.map(post => {
+        const { content, score, ...result } = post.toJSON();
+
+        return {
+          ...result,
+          score,
+          highlights: {
+            title: highlight(post.title, searchQuery.terms),
+            snippet: buildSnippet(stripHtml(content) || post.description, searchQuery.terms),
+          },
+        };
+      });
+    }
+
     // Get featured posts if not filtering
     let featuredPosts = [];
-    if (!featured && !tags && !categories && !search && page == 1) {
+    if (!featured && !tags && !categories && !searchQuery.text && page == 1) {
       featuredPosts = await BlogPost.getFeatured(3);
     }
 
+    [posts, featuredPosts] = await Promise.all([
+      withCommentCounts(posts),
+      withCommentCounts(featuredPosts),
+    ]);
+
     res.status(200).json({
       status: 'success',
       results: posts.length,
@@ -90,10 +174,7 @@ const getBlogPost = async (req, res) => {
   try {
     const { slug } = req.params;
 
-    const post = await BlogPost.findOne({ 
-      slug, 
-      status: 'published' 
-    });
+    const { post, redirected } = await BlogPost.findPublishedBySlug(slug);
 
     if (!post) {
       return res.status(404).json({
@@ -102,26 +183,37 @@ const getBlogPost = async (req, res) => {
       });
     }
 
-    // Increment view count
-    await post.incrementViews();
-
-    // Get related posts
-    const relatedPosts = await BlogPost.find({
-      _id: { $ne: post._id },
-      status: 'published',
-      $or: [
-        { tags: { $in: post.tags } },
-        { categories: { $in: post.categories } },
-      ],
-    })
-      .sort({ publishedAt: -1 })
-      .limit(3)
-      .select('-content');
+    // Old slugs permanently redirect to the current one
+    if (redirected) {
+      const location = `${req.baseUrl}/${encodeURIComponent(post.slug)}`;
+
+      return res.status(301).location(location).json({
+        status: 'redirect',
+        message: 'Blog post has moved',
+        data: {
+          slug: post.slug,
+          location,
+        },
+      });
+    }
+
+    // Count the view once per visitor and window, ignoring crawlers and signed-in previews
+    await viewService.recordView(req, post);
+
+    // Precomputed by content similarity (see services/relatedPostsService.js)
+    const relatedPosts = await post.getRelatedPosts(3);
+
+    const liked = await PostLike.exists({ post: post._id, visitorHash: getVisitorHash(req) });
+
+    // Previous/next part when the post belongs to a series
+    const series = await Series.findByPost(post._id);
 
     res.status(200).json({
       status: 'success',
       data: {
         post,
+        liked: !!liked,
+        series: series ? await series.getNavigation(post._id) : null,
         relatedPosts,
       },
     });
@@ -143,34 +235,251 @@ const getBlogPost = async (req, res) => {
 };
 
 /**
- * @desc    Sync articles from Medium
+ * @desc    Like a blog post (once per visitor)
+ * @route   POST /api/blog/:slug/like
+ * @access  Public
+ */
+const likeBlogPost = async (req, res) => {
+  try {
+    const { post } = await BlogPost.findPublishedBySlug(req.params.slug);
+
+    if (!post) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Blog post not found',
+      });
+    }
+
+    let likes = post.likes;
+
+    try {
+      await PostLike.create({ post: post._id, visitorHash: getVisitorHash(req) });
+
+      const updatedPost = await BlogPost.findByIdAndUpdate(
+        post._id,
+        { $inc: { likes: 1 } },
+        { new: true, select: 'likes' }
+      );
+      likes = updatedPost.likes;
+    } catch (error) {
+      // Liking twice is a no-op
+      if (error.code !== 11000) throw error;
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        liked: true,
+        likes,
+      },
+    });
+  } catch (error) {
+    logger.error('Error liking blog post:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error liking blog post',
+    });
+  }
+};
+
+/**
+ * @desc    Remove the visitor's like from a blog post
+ * @route   DELETE /api/blog/:slug/like
+ * @access  Public
+ */
+const unlikeBlogPost = async (req, res) => {
+  try {
+    const { post } = await BlogPost.findPublishedBySlug(req.params.slug);
+
+    if (!post) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Blog post not found',
+      });
+    }
+
+    let likes = post.likes;
+
+    const { deletedCount } = await PostLike.deleteOne({
+      post: post._id,
+      visitorHash: getVisitorHash(req),
+    });
+
+    if (deletedCount > 0) {
+      const updatedPost = await BlogPost.findOneAndUpdate(
+        { _id: post._id, likes: { $gt: 0 } },
+        { $inc: { likes: -1 } },
+        { new: true, select: 'likes' }
+      );
+      likes = updatedPost ? updatedPost.likes : 0;
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        liked: false,
+        likes,
+      },
+    });
+  } catch (error) {
+    logger.error('Error unliking blog post:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error unliking blog post',
+    });
+  }
+};
+
+/**
+ * @desc    Subscribe to the blog as RSS, Atom or JSON Feed (optionally for one tag)
+ * @route   GET /api/blog/feed.rss, /api/blog/feed.atom, /api/blog/feed.json
+ * @access  Public
+ */
+const getBlogFeed = async (req, res) => {
+  try {
+    const { format } = req.params;
+    const tag = typeof req.query.tag === 'string' ? req.query.tag.toLowerCase().trim() || null : null;
+
+    // Answer conditional requests before loading any post content
+    const { etag, lastModified } = await feedService.getValidators({ format, tag });
+
+    res.set({
+      'Cache-Control': 'public, max-age=300',
+      ETag: etag,
+      'Last-Modified': lastModified.toUTCString(),
+    });
+
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    const body = await feedService.buildFeed({ format, tag });
+
+    res.status(200).type(feedService.getContentType(format)).send(body);
+  } catch (error) {
+    logger.error('Error building blog feed:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error building blog feed',
+    });
+  }
+};
+
+/**
+ * @desc    Create a native Markdown blog post
+ * @route   POST /api/blog
+ * @access  Private (blog:write)
+ */
+const createBlogPost = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const post = new BlogPost({
+      source: 'native',
+      createdBy: req.user._id,
+      publishedAt: new Date(),
+    });
+
+    applyNativeFields(post, req.body, await tagService.getAliases());
+
+    // Categories default to the tags, as for synced posts
+    if (req.body.categories === undefined) {
+      post.categories = extractCategories(req.body.tags);
+    }
+    if (req.body.status !== undefined) post.status = req.body.status;
+    if (req.body.featured !== undefined) post.featured = req.body.featured;
+
+    await post.save();
+
+    await auditService.record(req, {
+      action: 'blog.create',
+      targetModel: 'BlogPost',
+      targetId: post._id,
+      after: post,
+    });
+
+    relatedPostsService.recomputeInBackground();
+
+    logger.info(`Blog post created: ${post.title} by user ${req.user.username}`);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Blog post created successfully',
+      data: { post },
+    });
+  } catch (error) {
+    logger.error('Error creating blog post:', error);
+
+    if (error.name === 'ValidationError') {
+      const errorMessages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errorMessages,
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'A blog post with this slug already exists',
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Error creating blog post',
+    });
+  }
+};
+
+/**
+ * @desc    Sync articles from all configured feed sources
  * @route   POST /api/blog/sync
  * @access  Private (Admin only)
  */
-const syncMediumArticles = async (req, res) => {
+const syncFeedArticles = async (req, res) => {
   try {
-    logger.info(`Medium sync initiated by user ${req.user.username}`);
+    logger.info(`Blog sync initiated by user ${req.user.username}`);
     
-    const result = await mediumService.syncArticles();
+    const result = await blogSyncService.syncArticles({
+      trigger: 'manual',
+      triggeredBy: req.user._id,
+    });
+
+    await auditService.record(req, {
+      action: 'blog.sync',
+      targetModel: 'SyncRun',
+      targetId: result.syncRunId || null,
+      after: result,
+    });
 
     if (result.success) {
       res.status(200).json({
         status: 'success',
-        message: 'Medium articles synced successfully',
+        message: 'Feed articles synced successfully',
         data: result,
       });
     } else {
       res.status(500).json({
         status: 'error',
-        message: result.message || 'Failed to sync Medium articles',
+        message: result.message || 'Failed to sync feed articles',
         data: result,
       });
     }
   } catch (error) {
-    logger.error('Error syncing Medium articles:', error);
+    logger.error('Error syncing feed articles:', error);
     res.status(500).json({
       status: 'error',
-      message: 'Error syncing Medium articles',
+      message: 'Error syncing feed articles',
     });
   }
 };
@@ -182,19 +491,16 @@ const syncMediumArticles = async (req, res) => {
  */
 const getSyncStatus = async (req, res) => {
   try {
-    const status = mediumService.getSyncStatus();
-    
-    // Get last sync info from database
-    const lastSyncedPost = await BlogPost.findOne()
-      .sort({ lastSyncedAt: -1 })
-      .select('lastSyncedAt syncStatus');
+    const historyLimit = Math.min(parseInt(req.query.limit) || 10, 100);
+
+    // Run history comes from the SyncRun collection
+    const status = await blogSyncService.getSyncStatus({ historyLimit });
 
     res.status(200).json({
       status: 'success',
       data: {
         ...status,
-        lastSync: lastSyncedPost?.lastSyncedAt || null,
-        lastSyncStatus: lastSyncedPost?.syncStatus || null,
+        schedule: syncScheduler.getStatus(),
       },
     });
   } catch (error) {
@@ -235,6 +541,20 @@ const getBlogStats = async (req, res) => {
       .limit(5)
       .select('title publishedAt views');
 
+    const mostLikedPosts = await BlogPost.find({ status: 'published', likes: { $gt: 0 } })
+      .sort({ likes: -1 })
+      .limit(5)
+      .select('title slug likes');
+
+    const recentLikes = await PostLike.countDocuments({
+      createdAt: { $gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) },
+    });
+
+    // Daily view series from PostViewDaily
+    const trendDays = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+    const viewTrend = await PostViewDaily.getTrend(trendDays);
+    const topPostsByRecentViews = await PostViewDaily.getTopPosts(trendDays, 5);
+
     const topTags = await BlogPost.aggregate([
       { $match: { status: 'published' } },
       { $unwind: '$tags' },
@@ -251,6 +571,11 @@ const getBlogStats = async (req, res) => {
         draftPosts,
         totalViews: totalViews[0]?.totalViews || 0,
         totalLikes: totalLikes[0]?.totalLikes || 0,
+        likesLast30Days: recentLikes,
+        mostLikedPosts,
+        trendDays,
+        viewTrend,
+        topPostsByRecentViews,
         recentPosts,
         topTags,
       },
@@ -281,16 +606,8 @@ const updateBlogPost = async (req, res) => {
     }
 
     const { featured, status } = req.body;
-    const updateData = {};
 
-    if (featured !== undefined) updateData.featured = featured;
-    if (status !== undefined) updateData.status = status;
-
-    const post = await BlogPost.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      { new: true, runValidators: true }
-    );
+    const post = await BlogPost.findById(req.params.id).select('+markdown');
 
     if (!post) {
       return res.status(404).json({
@@ -299,6 +616,38 @@ const updateBlogPost = async (req, res) => {
       });
     }
 
+    const contentFields = NATIVE_FIELDS.filter(field => req.body[field] !== undefined);
+
+    if (contentFields.length > 0 && post.source !== 'native') {
+      return res.status(400).json({
+        status: 'error',
+        message: `Synced posts are managed by their source, cannot update: ${contentFields.join(', ')}`,
+      });
+    }
+
+    const existingPost = post.toObject();
+
+    if (featured !== undefined) post.featured = featured;
+    if (status !== undefined) post.status = status;
+    if (req.body.slug !== undefined) post.slug = req.body.slug;
+    applyNativeFields(post, req.body, await tagService.getAliases());
+
+    const similarityChanged = ['title', 'markdown', 'tags', 'status'].some(field => post.isModified(field));
+
+    await post.save();
+
+    if (similarityChanged) {
+      relatedPostsService.recomputeInBackground();
+    }
+
+    await auditService.record(req, {
+      action: 'blog.update',
+      targetModel: 'BlogPost',
+      targetId: post._id,
+      before: existingPost,
+      after: post,
+    });
+
     logger.info(`Blog post updated: ${post.title} by user ${req.user.username}`);
 
     res.status(200).json({
@@ -309,13 +658,30 @@ const updateBlogPost = async (req, res) => {
   } catch (error) {
     logger.error('Error updating blog post:', error);
 
-    if (error.name === 'CastError') {
+    // DocumentNotFoundError: deleted between loading and saving
+    if (error.name === 'CastError' || error.name === 'DocumentNotFoundError') {
       return res.status(404).json({
         status: 'error',
         message: 'Blog post not found',
       });
     }
 
+    if (error.name === 'ValidationError') {
+      const errorMessages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errorMessages,
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'A blog post with this slug already exists',
+      });
+    }
+
     res.status(500).json({
       status: 'error',
       message: 'Error updating blog post',
@@ -339,6 +705,22 @@ const deleteBlogPost = async (req, res) => {
       });
     }
 
+    await Promise.all([
+      PostLike.deleteMany({ post: post._id }),
+      PostViewDaily.deleteMany({ post: post._id }),
+      Comment.deleteMany({ post: post._id }),
+      Series.updateMany({ posts: post._id }, { $pull: { posts: post._id } }),
+    ]);
+
+    await auditService.record(req, {
+      action: 'blog.delete',
+      targetModel: 'BlogPost',
+      targetId: post._id,
+      before: post,
+    });
+
+    relatedPostsService.recomputeInBackground();
+
     logger.info(`Blog post deleted: ${post.title} by user ${req.user.username}`);
 
     res.status(200).json({
@@ -365,7 +747,11 @@ const deleteBlogPost = async (req, res) => {
 module.exports = {
   getBlogPosts,
   getBlogPost,
-  syncMediumArticles,
+  getBlogFeed,
+  likeBlogPost,
+  unlikeBlogPost,
+  createBlogPost,
+  syncFeedArticles,
   getSyncStatus,
   getBlogStats,
   updateBlogPost,
@@ -0,0 +1,503 @@
+const BlogPost = require('../models/BlogPost');
+const Comment = require('../models/Comment');
+const CommentBan = require('../models/CommentBan');
+const auditService = require('../services/auditService');
+const logger = require('../utils/logger');
+const { validationResult } = require('express-validator');
+
+/**
+ * @desc    Get the approved comments of a post as a thread
+ * @route   GET /api/blog/:slug/comments
+ * @access  Public
+ */
+const getPostComments = async (req, res) => {
+  try {
+    const { post } = await BlogPost.findPublishedBySlug(req.params.slug);
+
+    if (!post) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Blog post not found',
+      });
+    }
+
+    const comments = await Comment.getThread(post._id);
+    const total = await Comment.countDocuments({ post: post._id, status: 'approved' });
+
+    res.status(200).json({
+      status: 'success',
+      totalResults: total,
+      data: {
+        comments,
+      },
+    });
+  } catch (error) {
+    logger.error('Error fetching comments:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching comments',
+    });
+  }
+};
+
+/**
+ * @desc    Submit a comment or reply (held for moderation)
+ * @route   POST /api/blog/:slug/comments
+ * @access  Public
+ */
+const submitComment = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const { post } = await BlogPost.findPublishedBySlug(req.params.slug);
+
+    if (!post) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Blog post not found',
+      });
+    }
+
+    const { name, email, body, parentId, website } = req.body;
+
+    // Replies must point at an approved comment on the same post
+    if (parentId) {
+      const parent = await Comment.findOne({ _id: parentId, post: post._id, status: 'approved' });
+
+      if (!parent) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'The comment you are replying to does not exist',
+        });
+      }
+    }
+
+    const ipAddress = req.ip || req.connection.remoteAddress;
+
+    // Banned senders and filled honeypot fields go straight to spam, without telling the sender
+    const isSpam = !!website || await CommentBan.isBanned({ email, ipAddress });
+
+    const comment = await Comment.create({
+      post: post._id,
+      parent: parentId || null,
+      authorName: name,
+      authorEmail: email,
+      body,
+      status: isSpam ? 'spam' : 'pending',
+      ipAddress,
+      userAgent: req.get('User-Agent'),
+    });
+
+    logger.info(`New ${comment.status} comment from ${name} on ${post.slug}`);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Thanks! Your comment will appear once it has been approved.',
+      data: {
+        comment: {
+          id: comment._id,
+          authorName: comment.authorName,
+          body: comment.body,
+          parent: comment.parent,
+          createdAt: comment.createdAt,
+        },
+      },
+    });
+  } catch (error) {
+    logger.error('Error submitting comment:', error);
+
+    if (error.name === 'ValidationError') {
+      const errorMessages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errorMessages,
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'There was an error submitting your comment. Please try again.',
+    });
+  }
+};
+
+/**
+ * @desc    Get comments for moderation
+ * @route   GET /api/comments
+ * @access  Private (comments:moderate)
+ */
+const getComments = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const {
+      status = 'pending',
+      post,
+      limit = 20,
+      page = 1,
+    } = req.query;
+
+    // Build query
+    const query = {};
+
+    if (['pending', 'approved', 'spam'].includes(status)) {
+      query.status = status;
+    }
+
+    if (post) {
+      query.post = post;
+    }
+
+    // Execute query with pagination
+    const comments = await Comment.find(query)
+      .select('+authorEmail +ipAddress +userAgent')
+      .populate('post', 'title slug')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    const total = await Comment.countDocuments(query);
+
+    res.status(200).json({
+      status: 'success',
+      results: comments.length,
+      totalResults: total,
+      totalPages: Math.ceil(total / parseInt(limit)),
+      currentPage: parseInt(page),
+      data: {
+        comments,
+      },
+    });
+  } catch (error) {
+    logger.error('Error fetching comments for moderation:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching comments',
+    });
+  }
+};
+
+/**
+ * @desc    Approve a comment or mark it as spam
+ * @route   PATCH /api/comments/:id
+ * @access  Private (comments:moderate)
+ */
+const moderateComment = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const comment = await Comment.findById(req.params.id);
+
+    if (!comment) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Comment not found',
+      });
+    }
+
+    const before = comment.toObject();
+
+    comment.status = req.body.status;
+    comment.moderatedBy = req.user._id;
+    comment.moderatedAt = new Date();
+    await comment.save();
+
+    await auditService.record(req, {
+      action: 'comment.moderate',
+      targetModel: 'Comment',
+      targetId: comment._id,
+      before,
+      after: comment,
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: `Comment marked as ${comment.status}`,
+      data: {
+        comment,
+      },
+    });
+  } catch (error) {
+    logger.error('Error moderating comment:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Comment not found',
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Error moderating comment',
+    });
+  }
+};
+
+/**
+ * @desc    Approve several pending comments at once
+ * @route   POST /api/comments/bulk-approve
+ * @access  Private (comments:moderate)
+ */
+const bulkApproveComments = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const { ids } = req.body;
+
+    const result = await Comment.updateMany(
+      { _id: { $in: ids }, status: 'pending' },
+      { status: 'approved', moderatedBy: req.user._id, moderatedAt: new Date() }
+    );
+
+    await auditService.record(req, {
+      action: 'comment.bulk_approve',
+      targetModel: 'Comment',
+      after: { ids, approvedCount: result.modifiedCount },
+    });
+
+    logger.info(`${result.modifiedCount} comments approved by ${req.user.username}`);
+
+    res.status(200).json({
+      status: 'success',
+      message: `${result.modifiedCount} comments approved`,
+      data: {
+        approvedCount: result.modifiedCount,
+      },
+    });
+  } catch (error) {
+    logger.error('Error bulk approving comments:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error approving comments',
+    });
+  }
+};
+
+/**
+ * @desc    Delete a comment (its replies move up to the top level)
+ * @route   DELETE /api/comments/:id
+ * @access  Private (comments:moderate)
+ */
+const deleteComment = async (req, res) => {
+  try {
+    const comment = await Comment.findByIdAndDelete(req.params.id);
+
+    if (!comment) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Comment not found',
+      });
+    }
+
+    await auditService.record(req, {
+      action: 'comment.delete',
+      targetModel: 'Comment',
+      targetId: comment._id,
+      before: comment,
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Comment deleted successfully',
+    });
+  } catch (error) {
+    logger.error('Error deleting comment:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Comment not found',
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Error deleting comment',
+    });
+  }
+};
+
+/**
+ * @desc    List banned emails and IPs
+ * @route   GET /api/comments/bans
+ * @access  Private (comments:ban)
+ */
+const getCommentBans = async (req, res) => {
+  try {
+    const bans = await CommentBan.find()
+      .populate('createdBy', 'username')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      status: 'success',
+      results: bans.length,
+      data: {
+        bans,
+      },
+    });
+  } catch (error) {
+    logger.error('Error fetching comment bans:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching comment bans',
+    });
+  }
+};
+
+/**
+ * @desc    Ban an email or IP from commenting and move its pending comments to spam
+ * @route   POST /api/comments/bans
+ * @access  Private (comments:ban)
+ */
+const banCommenter = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const { type, value, reason } = req.body;
+    const normalizedValue = value.toLowerCase().trim();
+
+    const existingBan = await CommentBan.findOne({ type, value: normalizedValue });
+
+    if (existingBan) {
+      return res.status(400).json({
+        status: 'error',
+        message: `This ${type} is already banned`,
+      });
+    }
+
+    const ban = await CommentBan.create({
+      type,
+      value: normalizedValue,
+      reason,
+      createdBy: req.user._id,
+    });
+
+    const field = type === 'email' ? 'authorEmail' : 'ipAddress';
+    const result = await Comment.updateMany(
+      { [field]: normalizedValue, status: 'pending' },
+      { status: 'spam', moderatedBy: req.user._id, moderatedAt: new Date() }
+    );
+
+    await auditService.record(req, {
+      action: 'comment_ban.create',
+      targetModel: 'CommentBan',
+      targetId: ban._id,
+      after: ban,
+    });
+
+    logger.info(`Comment ban added for ${type} by ${req.user.username}, ${result.modifiedCount} pending comments marked as spam`);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Ban created successfully',
+      data: {
+        ban,
+        spamCount: result.modifiedCount,
+      },
+    });
+  } catch (error) {
+    logger.error('Error creating comment ban:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error creating comment ban',
+    });
+  }
+};
+
+/**
+ * @desc    Lift a comment ban
+ * @route   DELETE /api/comments/bans/:id
+ * @access  Private (comments:ban)
+ */
+const removeCommentBan = async (req, res) => {
+  try {
+    const ban = await CommentBan.findByIdAndDelete(req.params.id);
+
+    if (!ban) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Ban not found',
+      });
+    }
+
+    await auditService.record(req, {
+      action: 'comment_ban.delete',
+      targetModel: 'CommentBan',
+      targetId: ban._id,
+      before: ban,
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Ban removed successfully',
+    });
+  } catch (error) {
+    logger.error('Error removing comment ban:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Ban not found',
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Error removing comment ban',
+    });
+  }
+};
+
+module.exports = {
+  getPostComments,
+  submitComment,
+  getComments,
+  moderateComment,
+  bulkApproveComments,
+  deleteComment,
+  getCommentBans,
+  banCommenter,
+  removeCommentBan,
+};
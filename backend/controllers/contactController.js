@@ -1,4 +1,5 @@
 const ContactMessage = require('../models/ContactMessage');
+const auditService = require('../services/auditService');
 const logger = require('../utils/logger');
 const { validationResult } = require('express-validator');
 
@@ -198,6 +199,8 @@ const updateContactMessage = async (req, res) => {
       });
     }
 
+    const before = message.toObject();
+
     // Update fields
     if (status) message.status = status;
     if (notes !== undefined) message.notes = notes;
@@ -210,6 +213,14 @@ const updateContactMessage = async (req, res) => {
 
     await message.save();
 
+    await auditService.record(req, {
+      action: 'contact.update',
+      targetModel: 'ContactMessage',
+      targetId: message._id,
+      before,
+      after: message,
+    });
+
     logger.info(`Contact message ${message._id} updated by ${req.user.username}`);
 
     res.status(200).json({
@@ -222,7 +233,8 @@ const updateContactMessage = async (req, res) => {
   } catch (error) {
     logger.error('Error updating contact message:', error);
 
-    if (error.name === 'CastError') {
+    // DocumentNotFoundError: deleted between loading and saving
+    if (error.name === 'CastError' || error.name === 'DocumentNotFoundError') {
       return res.status(404).json({
         status: 'error',
         message: 'Contact message not found',
@@ -252,6 +264,13 @@ const deleteContactMessage = async (req, res) => {
       });
     }
 
+    await auditService.record(req, {
+      action: 'contact.delete',
+      targetModel: 'ContactMessage',
+      targetId: message._id,
+      before: message,
+    });
+
     logger.info(`Contact message deleted by ${req.user.username}`);
 
     res.status(200).json({
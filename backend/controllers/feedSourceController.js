@@ -0,0 +1,237 @@
+const FeedSource = require('../models/FeedSource');
+const auditService = require('../services/auditService');
+const providers = require('../services/providers');
+const logger = require('../utils/logger');
+const { validationResult } = require('express-validator');
+
+const EDITABLE_FIELDS = ['name', 'provider', 'url', 'username', 'host', 'author', 'enabled'];
+
+/**
+ * @desc    List feed sources (database sources and read-only environment sources)
+ * @route   GET /api/blog/admin/sources
+ * @access  Private (blog:sources)
+ */
+const getFeedSources = async (req, res) => {
+  try {
+    const sources = await FeedSource.find().sort({ createdAt: 1 });
+
+    res.status(200).json({
+      status: 'success',
+      results: sources.length,
+      data: {
+        sources,
+        envSources: providers.getEnvSources(),
+        providers: providers.getProviderNames(),
+      },
+    });
+  } catch (error) {
+    logger.error('Error fetching feed sources:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching feed sources',
+    });
+  }
+};
+
+/**
+ * @desc    Add a feed source
+ * @route   POST /api/blog/admin/sources
+ * @access  Private (blog:sources)
+ */
+const createFeedSource = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const data = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    const configError = providers.validateSourceConfig(data);
+    if (configError) {
+      return res.status(400).json({
+        status: 'error',
+        message: configError,
+      });
+    }
+
+    const source = await FeedSource.create({ ...data, createdBy: req.user._id });
+
+    await auditService.record(req, {
+      action: 'feed_source.create',
+      targetModel: 'FeedSource',
+      targetId: source._id,
+      after: source.toObject(),
+    });
+
+    logger.info(`Feed source created: ${source.name} (${source.provider}) by ${req.user.username}`);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Feed source created successfully',
+      data: {
+        source,
+      },
+    });
+  } catch (error) {
+    logger.error('Error creating feed source:', error);
+
+    if (error.name === 'ValidationError') {
+      const errorMessages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errorMessages,
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Error creating feed source',
+    });
+  }
+};
+
+/**
+ * @desc    Update a feed source
+ * @route   PUT /api/blog/admin/sources/:id
+ * @access  Private (blog:sources)
+ */
+const updateFeedSource = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const source = await FeedSource.findById(req.params.id);
+
+    if (!source) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Feed source not found',
+      });
+    }
+
+    const before = source.toObject();
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) source[field] = req.body[field];
+    });
+
+    const configError = providers.validateSourceConfig(source);
+    if (configError) {
+      return res.status(400).json({
+        status: 'error',
+        message: configError,
+      });
+    }
+
+    await source.save();
+
+    await auditService.record(req, {
+      action: 'feed_source.update',
+      targetModel: 'FeedSource',
+      targetId: source._id,
+      before,
+      after: source.toObject(),
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Feed source updated successfully',
+      data: {
+        source,
+      },
+    });
+  } catch (error) {
+    logger.error('Error updating feed source:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Feed source not found',
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errorMessages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errorMessages,
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Error updating feed source',
+    });
+  }
+};
+
+/**
+ * @desc    Delete a feed source (posts already imported from it are kept)
+ * @route   DELETE /api/blog/admin/sources/:id
+ * @access  Private (blog:sources)
+ */
+const deleteFeedSource = async (req, res) => {
+  try {
+    const source = await FeedSource.findByIdAndDelete(req.params.id);
+
+    if (!source) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Feed source not found',
+      });
+    }
+
+    await auditService.record(req, {
+      action: 'feed_source.delete',
+      targetModel: 'FeedSource',
+      targetId: source._id,
+      before: source.toObject(),
+    });
+
+    logger.info(`Feed source deleted: ${source.name} by ${req.user.username}`);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Feed source deleted successfully',
+    });
+  } catch (error) {
+    logger.error('Error deleting feed source:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Feed source not found',
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Error deleting feed source',
+    });
+  }
+};
+
+module.exports = {
+  getFeedSources,
+  createFeedSource,
+  updateFeedSource,
+  deleteFeedSource,
+};
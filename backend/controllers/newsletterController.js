@@ -0,0 +1,297 @@
+const Subscriber = require('../models/Subscriber');
+const newsletterService = require('../services/newsletterService');
+const tagService = require('../services/tagService');
+const auditService = require('../services/auditService');
+const logger = require('../utils/logger');
+const { validationResult } = require('express-validator');
+
+// Same answer whether or not the address was already subscribed, so subscriptions can't be probed
+const subscribeResponse = {
+  status: 'success',
+  message: 'Almost there! Check your inbox for a link to confirm your subscription.',
+};
+
+/**
+ * @desc    Subscribe to new posts (sends a confirmation link)
+ * @route   POST /api/newsletter/subscribe
+ * @access  Public
+ */
+const subscribe = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const { email, frequency, tags } = req.body;
+
+    let subscriber = await Subscriber.findOne({ email });
+
+    // Confirmed subscribers keep their settings, changing them needs a new opt-in
+    if (subscriber && subscriber.status === 'confirmed') {
+      return res.status(200).json(subscribeResponse);
+    }
+
+    if (!subscriber) {
+      subscriber = new Subscriber({ email });
+    }
+
+    subscriber.status = 'pending';
+    subscriber.frequency = frequency || subscriber.frequency;
+    // Stored under canonical names, digests match them against canonicalized post tags
+    subscriber.tags = await tagService.canonicalize(tags || []);
+    subscriber.ipAddress = req.ip || req.connection.remoteAddress;
+
+    const confirmToken = subscriber.getConfirmToken();
+    await subscriber.save();
+
+    try {
+      await newsletterService.sendConfirmation(subscriber, confirmToken);
+    } catch (mailError) {
+      return res.status(500).json({
+        status: 'error',
+        message: 'Error sending confirmation email',
+      });
+    }
+
+    logger.info(`Newsletter subscription requested for ${email}`);
+
+    res.status(200).json(subscribeResponse);
+  } catch (error) {
+    logger.error('Error subscribing to newsletter:', error);
+
+    if (error.name === 'ValidationError') {
+      const errorMessages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errorMessages,
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Error processing subscription',
+    });
+  }
+};
+
+/**
+ * @desc    Confirm a subscription
+ * @route   POST /api/newsletter/confirm/:token
+ * @access  Public
+ */
+const confirmSubscription = async (req, res) => {
+  try {
+    const subscriber = await Subscriber.findByConfirmToken(req.params.token);
+
+    if (!subscriber) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Confirmation link is invalid or has expired',
+      });
+    }
+
+    subscriber.confirm();
+    await subscriber.save();
+
+    logger.info(`Newsletter subscription confirmed for ${subscriber.email}`);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Your subscription is confirmed. Thanks for subscribing!',
+      data: {
+        email: subscriber.email,
+        frequency: subscriber.frequency,
+        tags: subscriber.tags,
+      },
+    });
+  } catch (error) {
+    logger.error('Error confirming newsletter subscription:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error confirming subscription',
+    });
+  }
+};
+
+/**
+ * @desc    Unsubscribe using the link from a digest
+ * @route   POST /api/newsletter/unsubscribe/:token
+ * @access  Public
+ */
+const unsubscribe = async (req, res) => {
+  try {
+    const subscriber = await Subscriber.findOne({ unsubscribeToken: req.params.token });
+
+    if (!subscriber) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Unsubscribe link is invalid',
+      });
+    }
+
+    if (subscriber.status !== 'unsubscribed') {
+      subscriber.status = 'unsubscribed';
+      subscriber.unsubscribedAt = new Date();
+      await subscriber.save();
+
+      logger.info(`Newsletter unsubscribe for ${subscriber.email}`);
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'You have been unsubscribed and will not receive further emails.',
+    });
+  } catch (error) {
+    logger.error('Error unsubscribing from newsletter:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error processing unsubscribe request',
+    });
+  }
+};
+
+/**
+ * @desc    Get subscribers
+ * @route   GET /api/newsletter/subscribers
+ * @access  Private (newsletter:manage)
+ */
+const getSubscribers = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const {
+      status,
+      frequency,
+      tag,
+      limit = 20,
+      page = 1,
+    } = req.query;
+
+    // Build query
+    const query = {};
+
+    if (status) {
+      query.status = status;
+    }
+
+    if (frequency) {
+      query.frequency = frequency;
+    }
+
+    if (tag) {
+      query.tags = tag.toLowerCase();
+    }
+
+    // Execute query with pagination
+    const subscribers = await Subscriber.find(query)
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    const total = await Subscriber.countDocuments(query);
+
+    res.status(200).json({
+      status: 'success',
+      results: subscribers.length,
+      totalResults: total,
+      totalPages: Math.ceil(total / parseInt(limit)),
+      currentPage: parseInt(page),
+      data: {
+        subscribers,
+      },
+    });
+  } catch (error) {
+    logger.error('Error fetching subscribers:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching subscribers',
+    });
+  }
+};
+
+/**
+ * @desc    Get subscriber statistics and recent digests
+ * @route   GET /api/newsletter/stats
+ * @access  Private (newsletter:manage)
+ */
+const getNewsletterStats = async (req, res) => {
+  try {
+    const stats = await newsletterService.getStats();
+
+    res.status(200).json({
+      status: 'success',
+      data: stats,
+    });
+  } catch (error) {
+    logger.error('Error fetching newsletter statistics:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching newsletter statistics',
+    });
+  }
+};
+
+/**
+ * @desc    Export subscribers as CSV
+ * @route   GET /api/newsletter/subscribers/export
+ * @access  Private (newsletter:manage)
+ */
+const exportSubscribers = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const { status } = req.query;
+    const csv = await newsletterService.exportCsv({ status });
+
+    await auditService.record(req, {
+      action: 'newsletter.export',
+      targetModel: 'Subscriber',
+      after: { status: status || 'all' },
+    });
+
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.status(200)
+      .type('text/csv; charset=utf-8')
+      .attachment(`subscribers-${date}.csv`)
+      .send(csv);
+  } catch (error) {
+    logger.error('Error exporting subscribers:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error exporting subscribers',
+    });
+  }
+};
+
+module.exports = {
+  subscribe,
+  confirmSubscription,
+  unsubscribe,
+  getSubscribers,
+  getNewsletterStats,
+  exportSubscribers,
+};
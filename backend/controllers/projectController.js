@@ -1,4 +1,5 @@
 const Project = require('../models/Project');
+const auditService = require('../services/auditService');
 const logger = require('../utils/logger');
 const { validationResult } = require('express-validator');
 
@@ -117,6 +118,13 @@ const createProject = async (req, res) => {
 
     const project = await Project.create(req.body);
 
+    await auditService.record(req, {
+      action: 'project.create',
+      targetModel: 'Project',
+      targetId: project._id,
+      after: project,
+    });
+
     logger.info(`New project created: ${project.title} by user ${req.user.username}`);
 
     res.status(201).json({
@@ -162,6 +170,15 @@ const updateProject = async (req, res) => {
       });
     }
 
+    const existingProject = await Project.findById(req.params.id);
+
+    if (!existingProject) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Project not found',
+      });
+    }
+
     const project = await Project.findByIdAndUpdate(
       req.params.id,
       req.body,
@@ -171,6 +188,7 @@ const updateProject = async (req, res) => {
       }
     );
 
+    // Deleted between the snapshot and the update
     if (!project) {
       return res.status(404).json({
         status: 'error',
@@ -178,6 +196,14 @@ const updateProject = async (req, res) => {
       });
     }
 
+    await auditService.record(req, {
+      action: 'project.update',
+      targetModel: 'Project',
+      targetId: project._id,
+      before: existingProject,
+      after: project,
+    });
+
     logger.info(`Project updated: ${project.title} by user ${req.user.username}`);
 
     res.status(200).json({
@@ -229,6 +255,13 @@ const deleteProject = async (req, res) => {
       });
     }
 
+    await auditService.record(req, {
+      action: 'project.delete',
+      targetModel: 'Project',
+      targetId: project._id,
+      before: project,
+    });
+
     logger.info(`Project deleted: ${project.title} by user ${req.user.username}`);
 
     res.status(200).json({
@@ -0,0 +1,105 @@
+const SecurityEvent = require('../models/SecurityEvent');
+const logger = require('../utils/logger');
+
+/**
+ * @desc    Get flagged security events
+ * @route   GET /api/security-events
+ * @access  Private (security:review)
+ */
+const getSecurityEvents = async (req, res) => {
+  try {
+    const {
+      type,
+      reviewed,
+      limit = 50,
+      page = 1,
+    } = req.query;
+
+    // Build query
+    let query = {};
+
+    if (type && ['credential_spray', 'distributed_attack', 'brute_force'].includes(type)) {
+      query.type = type;
+    }
+
+    if (reviewed === 'true' || reviewed === 'false') {
+      query.reviewed = reviewed === 'true';
+    }
+
+    // Execute query with pagination
+    const events = await SecurityEvent.find(query)
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    const total = await SecurityEvent.countDocuments(query);
+
+    res.status(200).json({
+      status: 'success',
+      results: events.length,
+      totalResults: total,
+      totalPages: Math.ceil(total / parseInt(limit)),
+      currentPage: parseInt(page),
+      data: {
+        events,
+      },
+    });
+  } catch (error) {
+    logger.error('Error fetching security events:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching security events',
+    });
+  }
+};
+
+/**
+ * @desc    Mark a security event as reviewed
+ * @route   PATCH /api/security-events/:id
+ * @access  Private (security:review)
+ */
+const reviewSecurityEvent = async (req, res) => {
+  try {
+    const event = await SecurityEvent.findByIdAndUpdate(
+      req.params.id,
+      { reviewed: req.body.reviewed !== false },
+      { new: true }
+    );
+
+    if (!event) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Security event not found',
+      });
+    }
+
+    logger.info(`Security event ${event._id} marked as ${event.reviewed ? 'reviewed' : 'unreviewed'} by ${req.user.username}`);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Security event updated successfully',
+      data: {
+        event,
+      },
+    });
+  } catch (error) {
+    logger.error('Error updating security event:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Security event not found',
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Error updating security event',
+    });
+  }
+};
+
+module.exports = {
+  getSecurityEvents,
+  reviewSecurityEvent,
+};
@@ -0,0 +1,65 @@
+const sitemapService = require('../services/sitemapService');
+const logger = require('../utils/logger');
+
+/**
+ * @desc    Sitemap (or sitemap index when large) generated from live content
+ * @route   GET /sitemap.xml
+ * @access  Public
+ */
+const getSitemap = async (req, res) => {
+  try {
+    const xml = await sitemapService.buildSitemap();
+
+    res.set('Cache-Control', 'public, max-age=3600');
+    res.status(200).type('application/xml').send(xml);
+  } catch (error) {
+    logger.error('Error building sitemap:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error building sitemap',
+    });
+  }
+};
+
+/**
+ * @desc    One page of a split sitemap
+ * @route   GET /sitemap-:page.xml
+ * @access  Public
+ */
+const getSitemapPage = async (req, res) => {
+  try {
+    const xml = await sitemapService.buildSitemapPage(parseInt(req.params.page));
+
+    if (!xml) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Sitemap not found',
+      });
+    }
+
+    res.set('Cache-Control', 'public, max-age=3600');
+    res.status(200).type('application/xml').send(xml);
+  } catch (error) {
+    logger.error('Error building sitemap page:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error building sitemap',
+    });
+  }
+};
+
+/**
+ * @desc    robots.txt pointing at the sitemap
+ * @route   GET /robots.txt
+ * @access  Public
+ */
+const getRobotsTxt = (req, res) => {
+  res.set('Cache-Control', 'public, max-age=86400');
+  res.status(200).type('text/plain').send(sitemapService.buildRobotsTxt());
+};
+
+module.exports = {
+  getSitemap,
+  getSitemapPage,
+  getRobotsTxt,
+};
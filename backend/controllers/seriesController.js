@@ -0,0 +1,321 @@
+const BlogPost = require('../models/BlogPost');
+const Series = require('../models/Series');
+const auditService = require('../services/auditService');
+const logger = require('../utils/logger');
+const { validationResult } = require('express-validator');
+
+const EDITABLE_FIELDS = ['title', 'slug', 'description', 'posts'];
+
+/**
+ * Check that a list of posts can form a series: no repeats, every post exists
+ * and none is already part of another series. Returns an error message or null.
+ */
+const checkSeriesPosts = async (postIds, seriesId = null) => {
+  const ids = postIds.map(String);
+
+  if (new Set(ids).size !== ids.length) {
+    return 'A post can only appear once in a series';
+  }
+
+  const existing = await BlogPost.countDocuments({ _id: { $in: ids } });
+  if (existing !== ids.length) {
+    return 'One or more posts do not exist';
+  }
+
+  const otherSeries = await Series.findOne({ _id: { $ne: seriesId }, posts: { $in: ids } });
+  if (otherSeries) {
+    return `One or more posts already belong to the series "${otherSeries.title}"`;
+  }
+
+  return null;
+};
+
+/**
+ * @desc    Get a series with its published posts in order
+ * @route   GET /api/blog/series/:slug
+ * @access  Public
+ */
+const getSeries = async (req, res) => {
+  try {
+    const result = await Series.getPublishedBySlug(req.params.slug);
+
+    if (!result) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Series not found',
+      });
+    }
+
+    const { series, posts } = result;
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        series: {
+          _id: series._id,
+          title: series.title,
+          slug: series.slug,
+          description: series.description,
+          totalParts: posts.length,
+          updatedAt: series.updatedAt,
+        },
+        posts,
+      },
+    });
+  } catch (error) {
+    logger.error('Error fetching series:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching series',
+    });
+  }
+};
+
+/**
+ * @desc    List all series
+ * @route   GET /api/blog/admin/series
+ * @access  Private (blog:write)
+ */
+const getAllSeries = async (req, res) => {
+  try {
+    const series = await Series.find()
+      .populate('posts', 'title slug status')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      status: 'success',
+      results: series.length,
+      data: {
+        series,
+      },
+    });
+  } catch (error) {
+    logger.error('Error fetching series list:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching series',
+    });
+  }
+};
+
+/**
+ * @desc    Create a series
+ * @route   POST /api/blog/admin/series
+ * @access  Private (blog:write)
+ */
+const createSeries = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const data = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    const postsError = await checkSeriesPosts(data.posts || []);
+    if (postsError) {
+      return res.status(400).json({
+        status: 'error',
+        message: postsError,
+      });
+    }
+
+    const series = await Series.create({ ...data, createdBy: req.user._id });
+
+    await auditService.record(req, {
+      action: 'series.create',
+      targetModel: 'Series',
+      targetId: series._id,
+      after: series.toObject(),
+    });
+
+    logger.info(`Series created: ${series.title} by ${req.user.username}`);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Series created successfully',
+      data: {
+        series,
+      },
+    });
+  } catch (error) {
+    logger.error('Error creating series:', error);
+
+    if (error.name === 'ValidationError') {
+      const errorMessages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errorMessages,
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'A series with this slug already exists',
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Error creating series',
+    });
+  }
+};
+
+/**
+ * @desc    Update a series (posts replaces the whole ordered list)
+ * @route   PUT /api/blog/admin/series/:id
+ * @access  Private (blog:write)
+ */
+const updateSeries = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const series = await Series.findById(req.params.id);
+
+    if (!series) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Series not found',
+      });
+    }
+
+    if (req.body.posts !== undefined) {
+      const postsError = await checkSeriesPosts(req.body.posts, series._id);
+      if (postsError) {
+        return res.status(400).json({
+          status: 'error',
+          message: postsError,
+        });
+      }
+    }
+
+    const before = series.toObject();
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) series[field] = req.body[field];
+    });
+
+    await series.save();
+
+    await auditService.record(req, {
+      action: 'series.update',
+      targetModel: 'Series',
+      targetId: series._id,
+      before,
+      after: series.toObject(),
+    });
+
+    logger.info(`Series updated: ${series.title} by ${req.user.username}`);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Series updated successfully',
+      data: {
+        series,
+      },
+    });
+  } catch (error) {
+    logger.error('Error updating series:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Series not found',
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errorMessages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errorMessages,
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'A series with this slug already exists',
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Error updating series',
+    });
+  }
+};
+
+/**
+ * @desc    Delete a series (its posts are kept)
+ * @route   DELETE /api/blog/admin/series/:id
+ * @access  Private (blog:delete)
+ */
+const deleteSeries = async (req, res) => {
+  try {
+    const series = await Series.findByIdAndDelete(req.params.id);
+
+    if (!series) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Series not found',
+      });
+    }
+
+    await auditService.record(req, {
+      action: 'series.delete',
+      targetModel: 'Series',
+      targetId: series._id,
+      before: series.toObject(),
+    });
+
+    logger.info(`Series deleted: ${series.title} by ${req.user.username}`);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Series deleted successfully',
+    });
+  } catch (error) {
+    logger.error('Error deleting series:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Series not found',
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Error deleting series',
+    });
+  }
+};
+
+module.exports = {
+  getSeries,
+  getAllSeries,
+  createSeries,
+  updateSeries,
+  deleteSeries,
+};
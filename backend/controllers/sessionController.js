@@ -0,0 +1,120 @@
+const Session = require('../models/Session');
+const logger = require('../utils/logger');
+const { clearAuthCookies } = require('../utils/authCookies');
+
+/**
+ * Shape a session document for API responses (never includes token hashes)
+ */
+const formatSession = (session, currentSessionId) => ({
+  id: session._id,
+  device: session.device,
+  userAgent: session.userAgent,
+  ipAddress: session.ipAddress,
+  createdAt: session.createdAt,
+  lastSeenAt: session.lastSeenAt,
+  expiresAt: session.expiresAt,
+  current: session._id.equals(currentSessionId),
+});
+
+/**
+ * @desc    List active sessions of the current user
+ * @route   GET /api/auth/sessions
+ * @access  Private
+ */
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.findActiveForUser(req.user._id);
+
+    res.status(200).json({
+      status: 'success',
+      results: sessions.length,
+      data: {
+        sessions: sessions.map(session => formatSession(session, req.authSession._id)),
+      },
+    });
+  } catch (error) {
+    logger.error('Error fetching sessions:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching sessions',
+    });
+  }
+};
+
+/**
+ * @desc    Revoke one session of the current user
+ * @route   DELETE /api/auth/sessions/:id
+ * @access  Private
+ */
+const revokeSession = async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+    });
+
+    if (!session || !session.isActive) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Session not found',
+      });
+    }
+
+    await session.revoke('revoked_by_user');
+
+    logger.info(`Session ${session._id} (${session.device}) revoked by ${req.user.username}`);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Session revoked successfully',
+    });
+  } catch (error) {
+    logger.error('Error revoking session:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Session not found',
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Error revoking session',
+    });
+  }
+};
+
+/**
+ * @desc    Log out everywhere (revoke every session, including this one)
+ * @route   DELETE /api/auth/sessions
+ * @access  Private
+ */
+const revokeAllSessions = async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user._id, 'logout_everywhere');
+    clearAuthCookies(res);
+
+    logger.info(`User ${req.user.username} logged out everywhere (${result.modifiedCount} sessions)`);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Logged out of all sessions',
+      data: {
+        revokedCount: result.modifiedCount,
+      },
+    });
+  } catch (error) {
+    logger.error('Error revoking all sessions:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error revoking sessions',
+    });
+  }
+};
+
+module.exports = {
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
+};
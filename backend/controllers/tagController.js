@@ -0,0 +1,204 @@
+const TagAlias = require('../models/TagAlias');
+const tagService = require('../services/tagService');
+const auditService = require('../services/auditService');
+const logger = require('../utils/logger');
+const { validationResult } = require('express-validator');
+
+/**
+ * @desc    Get every tag of published posts with its post count
+ * @route   GET /api/blog/tags
+ * @access  Public
+ */
+const getTags = async (req, res) => {
+  try {
+    const tags = await tagService.getTagCounts();
+
+    res.status(200).json({
+      status: 'success',
+      results: tags.length,
+      data: {
+        tags,
+      },
+    });
+  } catch (error) {
+    logger.error('Error fetching tags:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching tags',
+    });
+  }
+};
+
+/**
+ * @desc    List tag aliases
+ * @route   GET /api/blog/admin/tags/aliases
+ * @access  Private (blog:tags)
+ */
+const getTagAliases = async (req, res) => {
+  try {
+    const aliases = await TagAlias.find()
+      .populate('createdBy', 'username')
+      .sort({ canonical: 1, alias: 1 });
+
+    res.status(200).json({
+      status: 'success',
+      results: aliases.length,
+      data: {
+        aliases,
+      },
+    });
+  } catch (error) {
+    logger.error('Error fetching tag aliases:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching tag aliases',
+    });
+  }
+};
+
+/**
+ * @desc    Add a tag alias and apply it to existing posts
+ * @route   POST /api/blog/admin/tags/aliases
+ * @access  Private (blog:tags)
+ */
+const createTagAlias = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const { alias, canonical } = req.body;
+
+    if (alias === canonical) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'An alias must differ from its canonical tag',
+      });
+    }
+
+    const result = await tagService.mergeTags({ from: [alias], to: canonical, createdBy: req.user._id });
+    const tagAlias = await TagAlias.findOne({ alias });
+
+    await auditService.record(req, {
+      action: 'tag_alias.create',
+      targetModel: 'TagAlias',
+      targetId: tagAlias ? tagAlias._id : null,
+      after: result,
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: `"${alias}" is now an alias of "${result.to}"`,
+      data: {
+        alias: tagAlias,
+        modifiedPosts: result.modifiedPosts,
+        modifiedSubscribers: result.modifiedSubscribers,
+      },
+    });
+  } catch (error) {
+    logger.error('Error creating tag alias:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error creating tag alias',
+    });
+  }
+};
+
+/**
+ * @desc    Remove a tag alias (posts keep their current tags)
+ * @route   DELETE /api/blog/admin/tags/aliases/:id
+ * @access  Private (blog:tags)
+ */
+const deleteTagAlias = async (req, res) => {
+  try {
+    const alias = await tagService.removeAlias(req.params.id);
+
+    if (!alias) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Tag alias not found',
+      });
+    }
+
+    await auditService.record(req, {
+      action: 'tag_alias.delete',
+      targetModel: 'TagAlias',
+      targetId: alias._id,
+      before: alias.toObject(),
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Tag alias deleted successfully',
+    });
+  } catch (error) {
+    logger.error('Error deleting tag alias:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Tag alias not found',
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Error deleting tag alias',
+    });
+  }
+};
+
+/**
+ * @desc    Merge or rename tags across all posts (merged tags become aliases)
+ * @route   POST /api/blog/admin/tags/merge
+ * @access  Private (blog:tags)
+ */
+const mergeTags = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const { from, to } = req.body;
+
+    const result = await tagService.mergeTags({ from, to, createdBy: req.user._id });
+
+    await auditService.record(req, {
+      action: 'tag.merge',
+      targetModel: 'BlogPost',
+      after: result,
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: `Merged ${result.from.length} tag(s) into "${result.to}"`,
+      data: result,
+    });
+  } catch (error) {
+    logger.error('Error merging tags:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error merging tags',
+    });
+  }
+};
+
+module.exports = {
+  getTags,
+  getTagAliases,
+  createTagAlias,
+  deleteTagAlias,
+  mergeTags,
+};
@@ -0,0 +1,508 @@
+const User = require('../models/User');
+const Session = require('../models/Session');
+const mailService = require('../services/mailService');
+const auditService = require('../services/auditService');
+const loginThrottle = require('../services/loginThrottle');
+const logger = require('../utils/logger');
+const { generateToken } = require('../utils/tokens');
+const { validationResult } = require('express-validator');
+
+/**
+ * Shape a user document for API responses
+ */
+const formatUser = (user) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  role: user.role,
+  permissions: user.permissions,
+  isActive: user.isActive,
+  isLocked: user.isLocked,
+  loginAttempts: user.loginAttempts,
+  lockUntil: user.lockUntil,
+  twoFactorEnabled: user.twoFactorEnabled,
+  lastLogin: user.lastLogin,
+  createdAt: user.createdAt,
+});
+
+/**
+ * @desc    Get all users
+ * @route   GET /api/users
+ * @access  Private (Admin only)
+ */
+const getUsers = async (req, res) => {
+  try {
+    const {
+      role,
+      isActive,
+      limit = 20,
+      page = 1,
+      sort = 'username',
+    } = req.query;
+
+    // Build query
+    let query = {};
+
+    if (role && ['admin', 'editor'].includes(role)) {
+      query.role = role;
+    }
+
+    if (isActive === 'true' || isActive === 'false') {
+      query.isActive = isActive === 'true';
+    }
+
+    // Execute query with pagination
+    const users = await User.find(query)
+      .sort(sort)
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    const total = await User.countDocuments(query);
+
+    res.status(200).json({
+      status: 'success',
+      results: users.length,
+      totalResults: total,
+      totalPages: Math.ceil(total / parseInt(limit)),
+      currentPage: parseInt(page),
+      data: {
+        users: users.map(formatUser),
+      },
+    });
+  } catch (error) {
+    logger.error('Error fetching users:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching users',
+    });
+  }
+};
+
+/**
+ * @desc    Get single user
+ * @route   GET /api/users/:id
+ * @access  Private (Admin only)
+ */
+const getUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found',
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        user: formatUser(user),
+      },
+    });
+  } catch (error) {
+    logger.error('Error fetching user:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found',
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching user',
+    });
+  }
+};
+
+/**
+ * @desc    Invite a new user (they set their own password from the emailed link)
+ * @route   POST /api/users
+ * @access  Private (Admin only)
+ */
+const inviteUser = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const { username, email, role = 'editor' } = req.body;
+
+    // Nobody knows this password; the invitee replaces it through the invite link
+    const user = new User({
+      username,
+      email,
+      role,
+      password: generateToken(),
+    });
+
+    const inviteHours = parseInt(process.env.INVITE_EXPIRE_HOURS) || 72;
+    const inviteToken = user.getResetPasswordToken(inviteHours * 60);
+    await user.save();
+
+    const inviteUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/reset-password/${inviteToken}`;
+
+    try {
+      await mailService.sendMail({
+        to: user.email,
+        subject: 'You have been invited to the portfolio admin',
+        text: `${req.user.username} invited you to the portfolio admin as ${user.role}.\n\n` +
+          `Your username is: ${user.username}\n` +
+          `Choose a password here: ${inviteUrl}\n\n` +
+          `This link expires in ${inviteHours} hours.`,
+      });
+    } catch (mailError) {
+      // The account still exists; an admin can resend by triggering a password reset
+      logger.warn(`Invite email for ${user.username} could not be sent`);
+    }
+
+    await auditService.record(req, {
+      action: 'user.invite',
+      targetModel: 'User',
+      targetId: user._id,
+      after: user,
+    });
+
+    logger.info(`User ${user.username} (${user.role}) invited by ${req.user.username}`);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'User invited successfully',
+      data: {
+        user: formatUser(user),
+      },
+    });
+  } catch (error) {
+    logger.error('Error inviting user:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'A user with that username already exists',
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errorMessages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errorMessages,
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Error inviting user',
+    });
+  }
+};
+
+/**
+ * @desc    Update user details or reactivate a user
+ * @route   PUT /api/users/:id
+ * @access  Private (Admin only)
+ */
+const updateUser = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const { email, isActive } = req.body;
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found',
+      });
+    }
+
+    if (isActive === false) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Use DELETE /api/users/:id to deactivate a user',
+      });
+    }
+
+    const before = user.toObject();
+
+    if (email !== undefined) user.email = email;
+    if (isActive === true) user.isActive = true;
+
+    await user.save();
+
+    await auditService.record(req, {
+      action: 'user.update',
+      targetModel: 'User',
+      targetId: user._id,
+      before,
+      after: user,
+    });
+
+    logger.info(`User ${user.username} updated by ${req.user.username}`);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'User updated successfully',
+      data: {
+        user: formatUser(user),
+      },
+    });
+  } catch (error) {
+    logger.error('Error updating user:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found',
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errorMessages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errorMessages,
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Error updating user',
+    });
+  }
+};
+
+/**
+ * @desc    Change a user's role
+ * @route   PATCH /api/users/:id/role
+ * @access  Private (Admin only)
+ */
+const changeUserRole = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const { role } = req.body;
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found',
+      });
+    }
+
+    if (user.role === 'admin' && role !== 'admin') {
+      if (user._id.equals(req.user._id)) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'You cannot demote yourself',
+        });
+      }
+
+      if (user.isActive && await User.countOtherActiveAdmins(user._id) === 0) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Cannot demote the last active admin',
+        });
+      }
+    }
+
+    const before = user.toObject();
+    const previousRole = user.role;
+    user.role = role;
+    await user.save();
+
+    await auditService.record(req, {
+      action: 'user.role_change',
+      targetModel: 'User',
+      targetId: user._id,
+      before,
+      after: user,
+    });
+
+    logger.info(`User ${user.username} role changed from ${previousRole} to ${role} by ${req.user.username}`);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'User role updated successfully',
+      data: {
+        user: formatUser(user),
+      },
+    });
+  } catch (error) {
+    logger.error('Error changing user role:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found',
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Error changing user role',
+    });
+  }
+};
+
+/**
+ * @desc    Clear a user's login lockout
+ * @route   POST /api/users/:id/unlock
+ * @access  Private (Admin only)
+ */
+const unlockUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found',
+      });
+    }
+
+    const before = user.toObject();
+    user.loginAttempts = 0;
+    user.lockUntil = null;
+    await user.save({ validateBeforeSave: false });
+    loginThrottle.reset(user.username);
+
+    await auditService.record(req, {
+      action: 'user.unlock',
+      targetModel: 'User',
+      targetId: user._id,
+      before,
+      after: user,
+    });
+
+    logger.info(`User ${user.username} unlocked by ${req.user.username}`);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'User unlocked successfully',
+      data: {
+        user: formatUser(user),
+      },
+    });
+  } catch (error) {
+    logger.error('Error unlocking user:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found',
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Error unlocking user',
+    });
+  }
+};
+
+/**
+ * @desc    Deactivate a user and end their sessions
+ * @route   DELETE /api/users/:id
+ * @access  Private (Admin only)
+ */
+const deactivateUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found',
+      });
+    }
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'You cannot deactivate yourself',
+      });
+    }
+
+    if (user.role === 'admin' && user.isActive && await User.countOtherActiveAdmins(user._id) === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Cannot deactivate the last active admin',
+      });
+    }
+
+    const before = user.toObject();
+    user.isActive = false;
+    await user.save();
+
+    await auditService.record(req, {
+      action: 'user.deactivate',
+      targetModel: 'User',
+      targetId: user._id,
+      before,
+      after: user,
+    });
+
+    await Session.revokeAllForUser(user._id, 'deactivated');
+
+    logger.info(`User ${user.username} deactivated by ${req.user.username}`);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'User deactivated successfully',
+    });
+  } catch (error) {
+    logger.error('Error deactivating user:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found',
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Error deactivating user',
+    });
+  }
+};
+
+module.exports = {
+  getUsers,
+  getUser,
+  inviteUser,
+  updateUser,
+  changeUserRole,
+  unlockUser,
+  deactivateUser,
+};
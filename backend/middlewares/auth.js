@@ -1,18 +1,62 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiToken = require('../models/ApiToken');
 const logger = require('../utils/logger');
+const { getRequestToken, hasValidCsrfToken } = require('../utils/authCookies');
 
 /**
- * Protect routes - Check for valid JWT token
+ * Load the session a token was issued for, if it is still active
+ */
+const getActiveSession = async (decoded) => {
+  if (!decoded.sid) return null;
+
+  const session = await Session.findById(decoded.sid);
+
+  if (!session || !session.isActive || !session.user.equals(decoded.id)) {
+    return null;
+  }
+
+  return session;
+};
+
+/**
+ * Authenticate a request with a personal API token
+ */
+const protectWithApiToken = async (token, req, res, next) => {
+  const apiToken = await ApiToken.findActiveByToken(token);
+
+  if (!apiToken) {
+    return res.status(401).json({
+      status: 'error',
+      message: 'Not authorized to access this route. Invalid, expired or revoked API token.',
+    });
+  }
+
+  const user = await User.findById(apiToken.user);
+
+  if (!user || !user.isActive) {
+    return res.status(401).json({
+      status: 'error',
+      message: 'Not authorized to access this route. Token owner is inactive.',
+    });
+  }
+
+  await apiToken.touch(req.ip);
+
+  // Add user and token to request object
+  req.user = user;
+  req.apiToken = apiToken;
+  next();
+};
+
+/**
+ * Protect routes - Check for valid JWT or API token
  */
 const protect = async (req, res, next) => {
   try {
-    let token;
-
-    // Check for token in Authorization header
-    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-      token = req.headers.authorization.split(' ')[1];
-    }
+    // Check for token in Authorization header, then in the auth cookie
+    const { token, fromCookie } = getRequestToken(req);
 
     // Make sure token exists
     if (!token) {
@@ -22,10 +66,33 @@ const protect = async (req, res, next) => {
       });
     }
 
+    // Cookies are sent automatically by the browser, so state changes need a CSRF token
+    if (fromCookie && !hasValidCsrfToken(req)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Invalid or missing CSRF token',
+      });
+    }
+
+    // Personal API tokens are opaque strings, not JWTs
+    if (ApiToken.isApiToken(token)) {
+      return await protectWithApiToken(token, req, res, next);
+    }
+
     try {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+      // Reject tokens whose session has been revoked or has expired
+      const session = await getActiveSession(decoded);
+
+      if (!session) {
+        return res.status(401).json({
+          status: 'error',
+          message: 'Not authorized to access this route. Session has been revoked.',
+        });
+      }
+
       // Get user from database
       const user = await User.findById(decoded.id);
 
@@ -44,8 +111,11 @@ const protect = async (req, res, next) => {
         });
       }
 
-      // Add user to request object
+      await session.touch(req.ip);
+
+      // Add user and session to request object
       req.user = user;
+      req.authSession = session;
       next();
     } catch (error) {
       logger.error('JWT verification failed:', error.message);
@@ -87,24 +157,65 @@ const authorize = (...roles) => {
   };
 };
 
+/**
+ * Require named permissions (see config/permissions.js)
+ */
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Not authorized to access this route',
+      });
+    }
+
+    // API tokens are limited to their scopes on top of the owner's permissions
+    const missing = permissions.filter(permission => (
+      !req.user.hasPermission(permission) || (req.apiToken && !req.apiToken.hasScope(permission))
+    ));
+
+    if (missing.length > 0) {
+      logger.warn(`Permission denied for ${req.user.username} (${req.user.role}) on ${req.originalUrl}: missing ${missing.join(', ')}`);
+      return res.status(403).json({
+        status: 'error',
+        message: `Missing permission: ${missing.join(', ')}`,
+      });
+    }
+
+    next();
+  };
+};
+
+/**
+ * Restrict a route to interactive logins (rejects API tokens)
+ */
+const sessionOnly = (req, res, next) => {
+  if (req.apiToken) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'API tokens cannot access this route',
+    });
+  }
+
+  next();
+};
+
 /**
  * Optional authentication - doesn't fail if no token
  */
 const optionalAuth = async (req, res, next) => {
   try {
-    let token;
-
-    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-      token = req.headers.authorization.split(' ')[1];
-    }
+    const { token, fromCookie } = getRequestToken(req);
 
-    if (token) {
+    if (token && (!fromCookie || hasValidCsrfToken(req))) {
       try {
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        const user = await User.findById(decoded.id);
+        const session = await getActiveSession(decoded);
+        const user = session ? await User.findById(decoded.id) : null;
         
         if (user && user.isActive) {
           req.user = user;
+          req.authSession = session;
         }
       } catch (error) {
         // Token is invalid, but that's okay for optional auth
@@ -122,5 +233,7 @@ const optionalAuth = async (req, res, next) => {
 module.exports = {
   protect,
   authorize,
+  requirePermission,
+  sessionOnly,
   optionalAuth,
 };
\ No newline at end of file
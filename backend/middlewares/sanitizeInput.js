@@ -0,0 +1,31 @@
+const xss = require('xss-clean');
+
+// Body fields passed through unescaped: Markdown is rendered and sanitized by utils/markdown.js,
+// HTML-escaping it first would corrupt code samples and inline HTML
+const RAW_BODY_FIELDS = ['markdown'];
+
+/**
+ * xss-clean for body, query and params, except the string body fields in RAW_BODY_FIELDS
+ */
+const sanitizeInput = () => {
+  const clean = xss();
+
+  return (req, res, next) => {
+    const raw = {};
+
+    RAW_BODY_FIELDS.forEach(field => {
+      if (req.body && typeof req.body[field] === 'string') {
+        raw[field] = req.body[field];
+      }
+    });
+
+    clean(req, res, () => {
+      Object.assign(req.body, raw);
+      next();
+    });
+  };
+};
+
+module.exports = {
+  sanitizeInput,
+};
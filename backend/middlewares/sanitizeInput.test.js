@@ -0,0 +1,35 @@
+const express = require('express');
+const request = require('supertest');
+const { sanitizeInput } = require('./sanitizeInput');
+
+const app = express();
+app.use(express.json());
+app.use(sanitizeInput());
+app.all('/echo', (req, res) => res.json({ body: req.body, query: req.query }));
+
+const markdown = 'Compare with `a < b`:\n\n```html\n<div class="box">hi</div>\n```\n';
+
+describe('sanitizeInput', () => {
+  it('passes Markdown through unescaped when creating and updating', async () => {
+    const created = await request(app).post('/echo').send({ title: 'Tips', markdown });
+    const updated = await request(app).put('/echo').send({ markdown });
+
+    expect(created.body.body.markdown).toBe(markdown);
+    expect(updated.body.body.markdown).toBe(markdown);
+  });
+
+  it('still escapes every other field', async () => {
+    const res = await request(app)
+      .post('/echo?search=<script>')
+      .send({ title: '<b>Tips</b>', markdown });
+
+    expect(res.body.body.title).toBe('&lt;b>Tips&lt;/b>');
+    expect(res.body.query.search).toBe('&lt;script>');
+  });
+
+  it('escapes a markdown field that is not a string', async () => {
+    const res = await request(app).post('/echo').send({ markdown: ['<b>x</b>'] });
+
+    expect(res.body.body.markdown).toEqual(['&lt;b>x&lt;/b>']);
+  });
+});
@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const { generateToken, hashToken } = require('../utils/tokens');
+
+// Prefix that tells the auth middleware a bearer token is an API token, not a JWT
+const TOKEN_PREFIX = 'pat_';
+
+const apiTokenSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Token name is required'],
+    trim: true,
+    maxlength: [100, 'Token name cannot be more than 100 characters'],
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false,
+  },
+  // First characters of the token, shown in listings so tokens can be told apart
+  tokenPreview: {
+    type: String,
+    required: true,
+  },
+  scopes: {
+    type: [String],
+    required: true,
+    validate: {
+      validator: function(v) {
+        return v && v.length > 0;
+      },
+      message: 'At least one scope is required',
+    },
+  },
+  expiresAt: {
+    type: Date,
+    default: null,
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null,
+  },
+  lastUsedIp: {
+    type: String,
+    default: null,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+// Virtual for token validity
+apiTokenSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > Date.now());
+});
+
+// Static method to check whether a bearer token looks like an API token
+apiTokenSchema.statics.isApiToken = function(token) {
+  return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+};
+
+// Static method to create a token and return its plain value (shown only once)
+apiTokenSchema.statics.createForUser = async function(user, { name, scopes, expiresAt = null }) {
+  const token = `${TOKEN_PREFIX}${generateToken()}`;
+
+  const apiToken = await this.create({
+    name,
+    user: user._id,
+    tokenHash: hashToken(token),
+    tokenPreview: token.substring(0, TOKEN_PREFIX.length + 6),
+    scopes,
+    expiresAt,
+  });
+
+  return { apiToken, token };
+};
+
+// Static method to find a usable token by its plain value
+apiTokenSchema.statics.findActiveByToken = async function(token) {
+  const apiToken = await this.findOne({ tokenHash: hashToken(token) });
+  return apiToken && apiToken.isActive ? apiToken : null;
+};
+
+// Instance method to check a scope
+apiTokenSchema.methods.hasScope = function(permission) {
+  return this.scopes.includes(permission);
+};
+
+// Instance method to record usage (at most once a minute to limit writes)
+apiTokenSchema.methods.touch = function(ipAddress) {
+  if (this.lastUsedAt && Date.now() - this.lastUsedAt < 60 * 1000) {
+    return Promise.resolve();
+  }
+
+  this.lastUsedAt = new Date();
+  this.lastUsedIp = ipAddress || null;
+  return this.updateOne({ $set: { lastUsedAt: this.lastUsedAt, lastUsedIp: this.lastUsedIp } });
+};
+
+// Instance method to revoke the token
+apiTokenSchema.methods.revoke = function() {
+  this.revokedAt = new Date();
+  return this.save();
+};
+
+module.exports = mongoose.model('ApiToken', apiTokenSchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  // Kept alongside the reference so entries stay readable if the user is removed
+  actorUsername: {
+    type: String,
+    default: null,
+  },
+  apiToken: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiToken',
+    default: null,
+  },
+  action: {
+    type: String,
+    required: [true, 'Audit action is required'],
+    trim: true,
+  },
+  targetModel: {
+    type: String,
+    required: [true, 'Audit target model is required'],
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  changes: {
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+  },
+  ipAddress: {
+    type: String,
+    default: null,
+  },
+  userAgent: {
+    type: String,
+    default: null,
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+// Indexes for better query performance
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ targetModel: 1, targetId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -1,11 +1,47 @@
 const mongoose = require('mongoose');
+const { renderMarkdown } = require('../utils/markdown');
+const { stripHtml, calculateReadingTime, extractFirstImage } = require('../utils/content');
+
+// Slugs taken by fixed routes in routes/blogRoutes.js (GET /api/blog/tags, /api/blog/series/:slug)
+const RESERVED_SLUGS = ['tags', 'series'];
 
 const blogPostSchema = new mongoose.Schema({
+  // Where the post was imported from (see services/providers), or 'native' for posts written here
+  source: {
+    type: String,
+    enum: ['native', 'medium', 'devto', 'hashnode', 'rss'],
+    default: 'medium',
+    index: true,
+  },
+  // Provider-specific ID, unique per source
+  sourceId: {
+    type: String,
+  },
+  sourceUrl: {
+    type: String,
+    validate: {
+      validator: function(v) {
+        return !v || /^https?:\/\/.+/.test(v);
+      },
+      message: 'Please provide a valid source URL',
+    },
+  },
+  // Original location of the article, used to spot cross-posts
+  canonicalUrl: {
+    type: String,
+  },
+  // Other platforms the same article was found on
+  alternateSources: [{
+    _id: false,
+    source: String,
+    sourceId: String,
+    sourceUrl: String,
+  }],
+  // Legacy Medium fields, still set for Medium posts
   mediumId: {
     type: String,
     unique: true,
-    required: true,
-    index: true,
+    sparse: true,
   },
   title: {
     type: String,
@@ -19,6 +55,10 @@ const blogPostSchema = new mongoose.Schema({
     unique: true,
     index: true,
   },
+  // Earlier slugs, redirected to the current one
+  previousSlugs: [{
+    type: String,
+  }],
   description: {
     type: String,
     required: [true, 'Blog post description is required'],
@@ -29,6 +69,15 @@ const blogPostSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Blog post content is required'],
   },
+  // Markdown source of native posts, rendered into content on save
+  markdown: {
+    type: String,
+    select: false,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
   excerpt: {
     type: String,
     maxlength: [300, 'Excerpt cannot be more than 300 characters'],
@@ -47,10 +96,9 @@ const blogPostSchema = new mongoose.Schema({
   }],
   mediumUrl: {
     type: String,
-    required: [true, 'Medium URL is required'],
     validate: {
       validator: function(v) {
-        return /^https?:\/\/.+/.test(v);
+        return !v || /^https?:\/\/.+/.test(v);
       },
       message: 'Please provide a valid Medium URL',
     },
@@ -99,6 +147,25 @@ const blogPostSchema = new mongoose.Schema({
     type: String,
     maxlength: [160, 'Meta description cannot be more than 160 characters'],
   },
+  // Most similar published posts, precomputed by services/relatedPostsService.js
+  relatedPosts: [{
+    _id: false,
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BlogPost',
+    },
+    score: Number,
+  }],
+  relatedComputedAt: {
+    type: Date,
+    default: null,
+  },
+  // What the HTML sanitizer stripped from synced content
+  sanitizerRemovals: [{
+    _id: false,
+    type: { type: String },
+    detail: String,
+  }],
   // Sync tracking
   lastSyncedAt: {
     type: Date,
@@ -121,6 +188,21 @@ blogPostSchema.index({ featured: -1, publishedAt: -1 });
 blogPostSchema.index({ tags: 1 });
 blogPostSchema.index({ categories: 1 });
 blogPostSchema.index({ createdAt: -1 });
+blogPostSchema.index(
+  { source: 1, sourceId: 1 },
+  { unique: true, partialFilterExpression: { sourceId: { $type: 'string' } } }
+);
+blogPostSchema.index({ 'alternateSources.source': 1, 'alternateSources.sourceId': 1 });
+blogPostSchema.index({ canonicalUrl: 1 });
+blogPostSchema.index({ previousSlugs: 1 });
+// Weighted full-text search: title > tags > description > content
+blogPostSchema.index(
+  { title: 'text', tags: 'text', description: 'text', content: 'text' },
+  {
+    name: 'blog_text_search',
+    weights: { title: 10, tags: 5, description: 3, content: 1 },
+  }
+);
 
 // Virtual for formatted publish date
 blogPostSchema.virtual('formattedDate').get(function() {
@@ -145,38 +227,146 @@ blogPostSchema.virtual('timeAgo').get(function() {
   return `${Math.floor(days / 365)} years ago`;
 });
 
-// Pre-save middleware to generate slug and meta fields
-blogPostSchema.pre('save', function(next) {
-  if (this.isModified('title') && !this.slug) {
-    this.slug = this.title
-      .toLowerCase()
-      .replace(/[^a-z0-9]+/g, '-')
-      .replace(/(^-|-$)/g, '');
+// Pre-validate middleware to render native posts and generate slug and meta fields (slug is required)
+blogPostSchema.pre('validate', function(next) {
+  if (this.source === 'native' && this.isModified('markdown')) {
+    this.content = renderMarkdown(this.markdown);
+
+    const plainTextContent = stripHtml(this.content);
+    this.readingTime = calculateReadingTime(plainTextContent);
+    this.excerpt = plainTextContent.substring(0, 300);
+
+    // Follow the markdown unless this save sets a description of its own
+    if (!this.description || !this.isModified('description')) {
+      this.description = plainTextContent.substring(0, 500);
+    }
+
+    const firstImage = extractFirstImage(this.content);
+    if (!this.imageUrl && firstImage && /^https?:\/\/.+/.test(firstImage)) {
+      this.imageUrl = firstImage;
+    }
+  }
+
+  // New posts get a slug from their title, saved title changes move the slug along
+  if (!this.slug || (!this.isNew && this.isModified('title') && !this.isModified('slug'))) {
+    this.slug = this.constructor.generateSlug(this.title);
   }
   
-  if (!this.metaTitle) {
+  if (!this.metaTitle && this.title) {
     this.metaTitle = this.title.substring(0, 60);
   }
   
-  if (!this.metaDescription) {
+  if (!this.metaDescription && this.description) {
     this.metaDescription = this.description.substring(0, 160);
   }
   
-  if (!this.excerpt) {
+  if (!this.excerpt && this.description) {
     this.excerpt = this.description.substring(0, 300);
   }
   
   next();
 });
 
+// Pre-validate middleware to resolve slug collisions and keep the slug history
+blogPostSchema.pre('validate', async function() {
+  if (!this.slug || !this.isModified('slug')) return;
+
+  this.slug = await this.constructor.findAvailableSlug(this.slug, this._id);
+
+  const originalSlug = this.$locals.originalSlug;
+  const previousSlugs = this.previousSlugs.filter(slug => slug !== this.slug && slug !== originalSlug);
+
+  if (originalSlug && originalSlug !== this.slug) {
+    previousSlugs.push(originalSlug);
+  }
+
+  this.previousSlugs = previousSlugs;
+});
+
+// Remember the stored slug so a change can be added to the history
+blogPostSchema.post('init', function() {
+  this.$locals.originalSlug = this.slug;
+});
+
+blogPostSchema.post('save', function() {
+  this.$locals.originalSlug = this.slug;
+});
+
+// Static method to find a free slug, adding -2, -3, ... when taken (old slugs of other posts count as taken)
+blogPostSchema.statics.findAvailableSlug = async function(slug, excludeId = null) {
+  let candidate = slug;
+  let suffix = 2;
+
+  while (RESERVED_SLUGS.includes(candidate) || await this.exists({
+    _id: { $ne: excludeId },
+    $or: [{ slug: candidate }, { previousSlugs: candidate }],
+  })) {
+    candidate = `${slug}-${suffix}`;
+    suffix++;
+  }
+
+  return candidate;
+};
+
+// Static method to find a published post by its current or a previous slug
+blogPostSchema.statics.findPublishedBySlug = async function(slug) {
+  const post = await this.findOne({ slug, status: 'published' });
+  if (post) return { post, redirected: false };
+
+  const movedPost = await this.findOne({ previousSlugs: slug, status: 'published' });
+  return { post: movedPost, redirected: !!movedPost };
+};
+
+// Static method to build a slug from a title
+blogPostSchema.statics.generateSlug = function(title) {
+  return String(title || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/(^-|-$)/g, '');
+};
+
+// Static method to find a post imported from a source, as primary or alternate
+blogPostSchema.statics.findBySource = function(source, sourceId) {
+  const conditions = [
+    { source, sourceId },
+    { alternateSources: { $elemMatch: { source, sourceId } } },
+  ];
+
+  // Posts imported before source/sourceId existed only have a mediumId
+  if (source === 'medium') {
+    conditions.push({ mediumId: sourceId });
+  }
+
+  return this.findOne({ $or: conditions });
+};
+
+// Static method to find the same article already imported from another platform.
+// Only a shared canonical or source URL counts, the title just breaks ties.
+blogPostSchema.statics.findCrossPost = async function({ source, canonicalUrl, sourceUrl, title }) {
+  const urls = [canonicalUrl, sourceUrl].filter(Boolean);
+  if (urls.length === 0) return null;
+
+  // Native posts are never linked to or modified by sync
+  const candidates = await this.find({
+    source: { $nin: [source, 'native'] },
+    $or: [{ canonicalUrl: { $in: urls } }, { sourceUrl: { $in: urls } }],
+  });
+
+  const slug = this.generateSlug(title);
+  return candidates.find(post => post.slug === slug) || candidates[0] || null;
+};
+
 // Static method to get published posts
 blogPostSchema.statics.getPublished = function(options = {}) {
-  const { limit = 10, skip = 0, featured = null } = options;
+  const { limit = 10, skip = 0, featured = null, tag = null } = options;
   
   let query = { status: 'published' };
   if (featured !== null) {
     query.featured = featured;
   }
+  if (tag) {
+    query.tags = tag;
+  }
   
   return this.find(query)
     .sort({ publishedAt: -1 })
@@ -191,10 +381,39 @@ blogPostSchema.statics.getFeatured = function(limit = 3) {
     .limit(limit);
 };
 
-// Instance method to increment views
-blogPostSchema.methods.incrementViews = function() {
+// Instance method to get related posts, best match first. Falls back to shared
+// tags and categories until the scores have been computed for this post.
+blogPostSchema.methods.getRelatedPosts = async function(limit = 3) {
+  if (!this.relatedComputedAt) {
+    return this.constructor.find({
+      _id: { $ne: this._id },
+      status: 'published',
+      $or: [
+        { tags: { $in: this.tags } },
+        { categories: { $in: this.categories } },
+      ],
+    })
+      .sort({ publishedAt: -1 })
+      .limit(limit)
+      .select('-content -markdown');
+  }
+
+  const ids = this.relatedPosts.map(related => related.post);
+  const posts = await this.constructor.find({ _id: { $in: ids }, status: 'published' })
+    .select('-content -markdown');
+
+  const postsById = new Map(posts.map(post => [String(post._id), post]));
+
+  return ids
+    .map(id => postsById.get(String(id)))
+    .filter(Boolean)
+    .slice(0, limit);
+};
+
+// Instance method to increment views atomically (no full document save)
+blogPostSchema.methods.incrementViews = async function() {
+  await this.constructor.updateOne({ _id: this._id }, { $inc: { views: 1 } });
   this.views += 1;
-  return this.save();
 };
 
 module.exports = mongoose.model('BlogPost', blogPostSchema);
\ No newline at end of file
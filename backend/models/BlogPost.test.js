@@ -0,0 +1,155 @@
+const BlogPost = require('./BlogPost');
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('BlogPost.findCrossPost', () => {
+  it('does not look anything up without a URL, even when the title matches', async () => {
+    const find = jest.spyOn(BlogPost, 'find');
+
+    const crossPost = await BlogPost.findCrossPost({ source: 'devto', title: 'Introduction' });
+
+    expect(crossPost).toBeNull();
+    expect(find).not.toHaveBeenCalled();
+  });
+
+  it('matches on canonical and source URLs only', async () => {
+    const find = jest.spyOn(BlogPost, 'find').mockResolvedValue([]);
+
+    await BlogPost.findCrossPost({
+      source: 'devto',
+      canonicalUrl: 'https://example.com/a',
+      sourceUrl: 'https://dev.to/me/a',
+      title: 'Introduction',
+    });
+
+    const urls = ['https://example.com/a', 'https://dev.to/me/a'];
+    expect(find).toHaveBeenCalledWith({
+      source: { $nin: ['devto', 'native'] },
+      $or: [{ canonicalUrl: { $in: urls } }, { sourceUrl: { $in: urls } }],
+    });
+  });
+
+  it('uses the title to break ties between URL matches', async () => {
+    const other = { slug: 'something-else' };
+    const sameTitle = { slug: 'introduction' };
+    jest.spyOn(BlogPost, 'find').mockResolvedValue([other, sameTitle]);
+
+    const crossPost = await BlogPost.findCrossPost({
+      source: 'devto',
+      canonicalUrl: 'https://example.com/a',
+      title: 'Introduction',
+    });
+
+    expect(crossPost).toBe(sameTitle);
+  });
+});
+
+describe('BlogPost.findAvailableSlug', () => {
+  it('keeps a free slug as it is', async () => {
+    jest.spyOn(BlogPost, 'exists').mockResolvedValue(null);
+
+    await expect(BlogPost.findAvailableSlug('introduction')).resolves.toBe('introduction');
+  });
+
+  it('adds the first free numeric suffix when the slug is taken', async () => {
+    const taken = ['introduction', 'introduction-2'];
+    jest.spyOn(BlogPost, 'exists').mockImplementation(async query => (
+      taken.includes(query.$or[0].slug) ? { _id: 'other' } : null
+    ));
+
+    await expect(BlogPost.findAvailableSlug('introduction')).resolves.toBe('introduction-3');
+  });
+
+  it('never hands out slugs of fixed blog routes', async () => {
+    jest.spyOn(BlogPost, 'exists').mockResolvedValue(null);
+
+    await expect(BlogPost.findAvailableSlug('tags')).resolves.toBe('tags-2');
+    await expect(BlogPost.findAvailableSlug('series')).resolves.toBe('series-2');
+  });
+
+  it('treats old slugs of other posts as taken and ignores the post itself', async () => {
+    const exists = jest.spyOn(BlogPost, 'exists').mockResolvedValue(null);
+
+    await BlogPost.findAvailableSlug('introduction', 'post-id');
+
+    expect(exists).toHaveBeenCalledWith({
+      _id: { $ne: 'post-id' },
+      $or: [{ slug: 'introduction' }, { previousSlugs: 'introduction' }],
+    });
+  });
+});
+
+describe('BlogPost native description', () => {
+  const existingPost = () => BlogPost.hydrate({
+    _id: new BlogPost()._id,
+    source: 'native',
+    title: 'Introduction',
+    slug: 'introduction',
+    markdown: 'First draft',
+    content: '<p>First draft</p>',
+    description: 'First draft',
+    sourceUrl: 'https://example.com/blog/introduction',
+    publishedAt: new Date('2024-01-01'),
+  });
+
+  it('follows the markdown when it is edited', async () => {
+    const post = existingPost();
+    post.markdown = 'Second draft';
+
+    await post.validate();
+
+    expect(post.description).toBe('Second draft');
+  });
+
+  it('keeps a description sent along with the edit', async () => {
+    const post = existingPost();
+    post.markdown = 'Second draft';
+    post.description = 'Hand-written summary';
+
+    await post.validate();
+
+    expect(post.description).toBe('Hand-written summary');
+  });
+});
+
+describe('BlogPost native rendering', () => {
+  const markdown = 'Compare with `a < b`:\n\n```html\n<div class="box">hi</div>\n```\n';
+
+  it('keeps < in code intact when a post is created', async () => {
+    const post = new BlogPost({
+      source: 'native',
+      title: 'Tips',
+      markdown,
+      publishedAt: new Date('2024-01-01'),
+    });
+    jest.spyOn(BlogPost, 'exists').mockResolvedValue(null);
+
+    await post.validate();
+
+    expect(post.content).toContain('<code>a &lt; b</code>');
+    expect(post.content).toContain('&lt;div class="box"&gt;hi&lt;/div&gt;');
+    expect(post.content).not.toContain('&amp;lt;');
+  });
+
+  it('keeps < in code intact when the markdown is updated', async () => {
+    const post = BlogPost.hydrate({
+      _id: new BlogPost()._id,
+      source: 'native',
+      title: 'Tips',
+      slug: 'tips',
+      markdown: 'First draft',
+      content: '<p>First draft</p>',
+      description: 'First draft',
+      publishedAt: new Date('2024-01-01'),
+    });
+    post.markdown = markdown;
+
+    await post.validate();
+
+    expect(post.content).toContain('<code>a &lt; b</code>');
+    expect(post.content).toContain('&lt;div class="box"&gt;hi&lt;/div&gt;');
+    expect(post.content).not.toContain('&amp;lt;');
+  });
+});
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+const commentSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BlogPost',
+    required: true,
+  },
+  // Comment this one replies to (null for top-level comments)
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null,
+  },
+  authorName: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    minlength: [2, 'Name must be at least 2 characters long'],
+    maxlength: [50, 'Name cannot be more than 50 characters'],
+  },
+  authorEmail: {
+    type: String,
+    required: [true, 'Email is required'],
+    trim: true,
+    lowercase: true,
+    select: false,
+  },
+  body: {
+    type: String,
+    required: [true, 'Comment is required'],
+    trim: true,
+    maxlength: [2000, 'Comment cannot be more than 2000 characters'],
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'spam'],
+    default: 'pending',
+  },
+  ipAddress: {
+    type: String,
+    default: null,
+    select: false,
+  },
+  userAgent: {
+    type: String,
+    default: null,
+    select: false,
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  moderatedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes for better query performance
+commentSchema.index({ post: 1, status: 1, createdAt: 1 });
+commentSchema.index({ status: 1, createdAt: -1 });
+commentSchema.index({ authorEmail: 1 });
+commentSchema.index({ ipAddress: 1 });
+
+// Static method to get the approved comments of a post as a thread
+commentSchema.statics.getThread = async function(postId) {
+  const comments = await this.find({ post: postId, status: 'approved' })
+    .sort({ createdAt: 1 })
+    .select('parent authorName body createdAt')
+    .lean();
+
+  const byId = new Map(comments.map(comment => [String(comment._id), { ...comment, replies: [] }]));
+  const thread = [];
+
+  for (const comment of byId.values()) {
+    const parent = comment.parent ? byId.get(String(comment.parent)) : null;
+
+    // Replies to comments that are not (or no longer) approved move to the top level
+    if (parent) {
+      parent.replies.push(comment);
+    } else {
+      thread.push(comment);
+    }
+  }
+
+  return thread;
+};
+
+// Static method to count approved comments per post
+commentSchema.statics.countApproved = async function(postIds) {
+  const counts = await this.aggregate([
+    { $match: { post: { $in: postIds }, status: 'approved' } },
+    { $group: { _id: '$post', count: { $sum: 1 } } },
+  ]);
+
+  return new Map(counts.map(count => [String(count._id), count.count]));
+};
+
+module.exports = mongoose.model('Comment', commentSchema);
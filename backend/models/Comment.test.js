@@ -0,0 +1,53 @@
+const Comment = require('./Comment');
+
+// Chainable stand-in for the find().sort().select().lean() query
+const mockFind = comments => {
+  const query = {
+    sort: () => query,
+    select: () => query,
+    lean: async () => comments,
+  };
+  return jest.spyOn(Comment, 'find').mockReturnValue(query);
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Comment.getThread', () => {
+  it('only loads approved comments of the post', async () => {
+    const find = mockFind([]);
+
+    await Comment.getThread('post-id');
+
+    expect(find).toHaveBeenCalledWith({ post: 'post-id', status: 'approved' });
+  });
+
+  it('nests replies under their parents in creation order', async () => {
+    mockFind([
+      { _id: 'a', parent: null, body: 'First' },
+      { _id: 'b', parent: null, body: 'Second' },
+      { _id: 'c', parent: 'a', body: 'Reply to first' },
+      { _id: 'd', parent: 'c', body: 'Reply to reply' },
+      { _id: 'e', parent: 'a', body: 'Another reply to first' },
+    ]);
+
+    const thread = await Comment.getThread('post-id');
+
+    expect(thread.map(comment => comment._id)).toEqual(['a', 'b']);
+    expect(thread[0].replies.map(comment => comment._id)).toEqual(['c', 'e']);
+    expect(thread[0].replies[0].replies.map(comment => comment._id)).toEqual(['d']);
+    expect(thread[1].replies).toEqual([]);
+  });
+
+  it('moves replies to unapproved or deleted comments to the top level', async () => {
+    mockFind([
+      { _id: 'a', parent: null, body: 'Top level' },
+      { _id: 'b', parent: 'pending-or-deleted', body: 'Orphaned reply' },
+    ]);
+
+    const thread = await Comment.getThread('post-id');
+
+    expect(thread.map(comment => comment._id)).toEqual(['a', 'b']);
+  });
+});
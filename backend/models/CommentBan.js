@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+const commentBanSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['email', 'ip'],
+    required: true,
+  },
+  value: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reason cannot be more than 200 characters'],
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+commentBanSchema.index({ type: 1, value: 1 }, { unique: true });
+
+// Static method to check whether an email or IP may not comment
+commentBanSchema.statics.isBanned = async function({ email, ipAddress }) {
+  const conditions = [];
+  if (email) conditions.push({ type: 'email', value: email.toLowerCase() });
+  if (ipAddress) conditions.push({ type: 'ip', value: ipAddress.toLowerCase() });
+
+  if (conditions.length === 0) return false;
+  return !!(await this.exists({ $or: conditions }));
+};
+
+module.exports = mongoose.model('CommentBan', commentBanSchema);
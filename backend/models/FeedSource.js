@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const feedSourceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Source name is required'],
+    trim: true,
+    maxlength: [100, 'Source name cannot be more than 100 characters'],
+  },
+  provider: {
+    type: String,
+    enum: ['medium', 'devto', 'hashnode', 'rss'],
+    required: [true, 'Provider is required'],
+  },
+  // Feed URL (medium, rss)
+  url: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: function(v) {
+        return !v || /^https?:\/\/.+/.test(v);
+      },
+      message: 'Please provide a valid feed URL',
+    },
+  },
+  // Account name (devto)
+  username: {
+    type: String,
+    trim: true,
+  },
+  // Publication host (hashnode)
+  host: {
+    type: String,
+    trim: true,
+    lowercase: true,
+  },
+  // Fallback author when the feed does not name one
+  author: {
+    type: String,
+    trim: true,
+  },
+  enabled: {
+    type: Boolean,
+    default: true,
+  },
+  lastSyncedAt: {
+    type: Date,
+    default: null,
+  },
+  lastError: {
+    type: String,
+    default: null,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes for better query performance
+feedSourceSchema.index({ enabled: 1 });
+
+// Static method to get sources that should be synced
+feedSourceSchema.statics.getEnabled = function() {
+  return this.find({ enabled: true }).sort({ createdAt: 1 });
+};
+
+module.exports = mongoose.model('FeedSource', feedSourceSchema);
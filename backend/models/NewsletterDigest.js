@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+const newsletterDigestSchema = new mongoose.Schema({
+  // 'sync' digests are queued by a sync that created posts, 'weekly' ones by the scheduler
+  kind: {
+    type: String,
+    enum: ['sync', 'weekly'],
+    required: true,
+  },
+  posts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BlogPost',
+  }],
+  syncRun: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SyncRun',
+    default: null,
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'sent', 'failed'],
+    default: 'queued',
+  },
+  recipientCount: {
+    type: Number,
+    default: 0,
+  },
+  sentCount: {
+    type: Number,
+    default: 0,
+  },
+  failedCount: {
+    type: Number,
+    default: 0,
+  },
+  startedAt: {
+    type: Date,
+    default: null,
+  },
+  finishedAt: {
+    type: Date,
+    default: null,
+  },
+  error: {
+    type: String,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes for better query performance
+newsletterDigestSchema.index({ status: 1, createdAt: 1 });
+newsletterDigestSchema.index({ kind: 1, createdAt: -1 });
+
+// Static method to get the digests waiting to be sent, oldest first
+newsletterDigestSchema.statics.getQueued = function() {
+  return this.find({ status: 'queued' }).sort({ createdAt: 1 });
+};
+
+// Static method to queue digests a restart interrupted mid-send again (startedAt is kept)
+newsletterDigestSchema.statics.requeueInterrupted = async function() {
+  const result = await this.updateMany({ status: 'sending' }, { status: 'queued' });
+  return result.modifiedCount;
+};
+
+// Static method to get the most recent weekly digest
+newsletterDigestSchema.statics.getLastWeekly = function() {
+  return this.findOne({ kind: 'weekly' }).sort({ createdAt: -1 });
+};
+
+// Static method to get the most recent digests
+newsletterDigestSchema.statics.getRecent = function(limit = 10) {
+  return this.find()
+    .sort({ createdAt: -1 })
+    .limit(limit);
+};
+
+module.exports = mongoose.model('NewsletterDigest', newsletterDigestSchema);
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+const postLikeSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BlogPost',
+    required: true,
+  },
+  // Keyed hash of the visitor's IP and user agent (see utils/visitor.js)
+  visitorHash: {
+    type: String,
+    required: true,
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+// One like per visitor per post
+postLikeSchema.index({ post: 1, visitorHash: 1 }, { unique: true });
+postLikeSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('PostLike', postLikeSchema);
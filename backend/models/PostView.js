@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Marks that a visitor's view of a post was counted, until expiresAt
+const postViewSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BlogPost',
+    required: true,
+  },
+  // Keyed hash of the visitor's IP and user agent (see utils/visitor.js)
+  visitorHash: {
+    type: String,
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+postViewSchema.index({ post: 1, visitorHash: 1 }, { unique: true });
+postViewSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to claim a view for a visitor, returns false if one was counted within the window
+postViewSchema.statics.claim = async function(postId, visitorHash, windowMs) {
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + windowMs);
+
+  try {
+    await this.create({ post: postId, visitorHash, expiresAt });
+    return true;
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  // The TTL monitor only runs once a minute, so an expired marker may still exist
+  const result = await this.updateOne(
+    { post: postId, visitorHash, expiresAt: { $lte: now } },
+    { expiresAt }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+module.exports = mongoose.model('PostView', postViewSchema);
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+const postViewDailySchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BlogPost',
+    required: true,
+  },
+  // UTC midnight of the day
+  date: {
+    type: Date,
+    required: true,
+  },
+  views: {
+    type: Number,
+    default: 0,
+  },
+});
+
+postViewDailySchema.index({ post: 1, date: 1 }, { unique: true });
+postViewDailySchema.index({ date: 1 });
+
+/**
+ * UTC midnight for a date
+ */
+const startOfDay = (date = new Date()) => {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+// Static method to count one view for today
+postViewDailySchema.statics.increment = function(postId) {
+  return this.updateOne(
+    { post: postId, date: startOfDay() },
+    { $inc: { views: 1 } },
+    { upsert: true }
+  );
+};
+
+// Static method to get total views per day for the last `days` days, with empty days filled in
+postViewDailySchema.statics.getTrend = async function(days = 30, postId = null) {
+  const today = startOfDay();
+  const since = new Date(today.getTime() - (days - 1) * 24 * 60 * 60 * 1000);
+
+  const match = { date: { $gte: since } };
+  if (postId) match.post = postId;
+
+  const rows = await this.aggregate([
+    { $match: match },
+    { $group: { _id: '$date', views: { $sum: '$views' } } },
+  ]);
+
+  const viewsByDay = new Map(rows.map(row => [row._id.getTime(), row.views]));
+  const trend = [];
+
+  for (let day = since.getTime(); day <= today.getTime(); day += 24 * 60 * 60 * 1000) {
+    trend.push({
+      date: new Date(day).toISOString().substring(0, 10),
+      views: viewsByDay.get(day) || 0,
+    });
+  }
+
+  return trend;
+};
+
+// Static method to get the most viewed posts of the last `days` days
+postViewDailySchema.statics.getTopPosts = function(days = 30, limit = 5) {
+  const since = new Date(startOfDay().getTime() - (days - 1) * 24 * 60 * 60 * 1000);
+
+  return this.aggregate([
+    { $match: { date: { $gte: since } } },
+    { $group: { _id: '$post', views: { $sum: '$views' } } },
+    { $sort: { views: -1 } },
+    { $limit: limit },
+    {
+      $lookup: {
+        from: 'blogposts',
+        localField: '_id',
+        foreignField: '_id',
+        as: 'post',
+      },
+    },
+    { $unwind: '$post' },
+    { $project: { _id: 0, 'post._id': 1, 'post.title': 1, 'post.slug': 1, views: 1 } },
+  ]);
+};
+
+module.exports = mongoose.model('PostViewDaily', postViewDailySchema);
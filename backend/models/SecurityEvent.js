@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const securityEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['credential_spray', 'distributed_attack', 'brute_force'],
+    required: true,
+  },
+  ipAddress: {
+    type: String,
+    default: null,
+  },
+  username: {
+    type: String,
+    default: null,
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  reviewed: {
+    type: Boolean,
+    default: false,
+  },
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+// Indexes for better query performance
+securityEventSchema.index({ createdAt: -1 });
+securityEventSchema.index({ type: 1, createdAt: -1 });
+securityEventSchema.index({ reviewed: 1, createdAt: -1 });
+
+module.exports = mongoose.model('SecurityEvent', securityEventSchema);
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+const seriesSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Series title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot be more than 200 characters'],
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot be more than 1000 characters'],
+  },
+  // Parts of the series, in reading order
+  posts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BlogPost',
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes for better query performance
+seriesSchema.index({ posts: 1 });
+
+// Load the published posts among postIds, keeping the series order ($in does not)
+const findPublishedParts = async (postIds, fields) => {
+  const posts = await mongoose.model('BlogPost')
+    .find({ _id: { $in: postIds }, status: 'published' })
+    .select(fields);
+
+  const postsById = new Map(posts.map(post => [String(post._id), post]));
+
+  return postIds
+    .map(postId => postsById.get(String(postId)))
+    .filter(Boolean);
+};
+
+// Pre-validate middleware to generate the slug from the title (slug is required)
+seriesSchema.pre('validate', function(next) {
+  if (!this.slug && this.title) {
+    this.slug = mongoose.model('BlogPost').generateSlug(this.title);
+  }
+
+  next();
+});
+
+// Static method to find the series a post belongs to
+seriesSchema.statics.findByPost = function(postId) {
+  return this.findOne({ posts: postId });
+};
+
+// Static method to get a series with its published posts in order
+seriesSchema.statics.getPublishedBySlug = async function(slug) {
+  const series = await this.findOne({ slug });
+  if (!series) return null;
+
+  const posts = await findPublishedParts(series.posts, '-content -markdown');
+
+  return { series, posts };
+};
+
+// Instance method to get previous/next navigation for a post, skipping unpublished parts
+seriesSchema.methods.getNavigation = async function(postId) {
+  const parts = await findPublishedParts(this.posts, 'title slug');
+
+  const index = parts.findIndex(post => String(post._id) === String(postId));
+  const toLink = post => (post ? { _id: post._id, title: post.title, slug: post.slug } : null);
+
+  return {
+    _id: this._id,
+    title: this.title,
+    slug: this.slug,
+    part: index + 1,
+    totalParts: parts.length,
+    previous: index > 0 ? toLink(parts[index - 1]) : null,
+    next: index >= 0 ? toLink(parts[index + 1]) : null,
+  };
+};
+
+module.exports = mongoose.model('Series', seriesSchema);
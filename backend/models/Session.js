@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { describeDevice } = require('../utils/userAgent');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false,
+  },
+  // Kept to detect reuse of an already rotated refresh token
+  previousRefreshTokenHash: {
+    type: String,
+    default: null,
+    select: false,
+  },
+  device: {
+    type: String,
+    default: 'Unknown device',
+  },
+  userAgent: {
+    type: String,
+    default: null,
+  },
+  ipAddress: {
+    type: String,
+    default: null,
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  revokedReason: {
+    type: String,
+    default: null,
+  },
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+// Indexes
+sessionSchema.index({ previousRefreshTokenHash: 1 });
+// Let MongoDB remove expired sessions automatically
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for session validity
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > Date.now();
+});
+
+/**
+ * Refresh token lifetime in milliseconds
+ */
+const getRefreshTokenLifetime = () => {
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+  return days * 24 * 60 * 60 * 1000;
+};
+
+// Static method to open a new session and return its plain refresh token
+sessionSchema.statics.createForUser = async function(user, req) {
+  const refreshToken = generateToken(40);
+  const userAgent = req.get('User-Agent') || null;
+
+  const session = await this.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    device: describeDevice(userAgent),
+    userAgent,
+    ipAddress: req.ip || null,
+    expiresAt: new Date(Date.now() + getRefreshTokenLifetime()),
+  });
+
+  return { session, refreshToken };
+};
+
+// Static method to find a session by its current refresh token
+sessionSchema.statics.findByRefreshToken = function(refreshToken) {
+  return this.findOne({ refreshTokenHash: hashToken(refreshToken) })
+    .select('+refreshTokenHash');
+};
+
+// Static method to find a session by an already rotated refresh token
+sessionSchema.statics.findByRotatedToken = function(refreshToken) {
+  return this.findOne({ previousRefreshTokenHash: hashToken(refreshToken) });
+};
+
+// Static method to list the active sessions of a user
+sessionSchema.statics.findActiveForUser = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: Date.now() },
+  }).sort({ lastSeenAt: -1 });
+};
+
+// Static method to revoke every active session of a user
+sessionSchema.statics.revokeAllForUser = function(userId, reason = 'revoked', exceptSessionId = null) {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  return this.updateMany(query, {
+    $set: { revokedAt: new Date(), revokedReason: reason },
+  });
+};
+
+// Instance method to rotate the refresh token
+sessionSchema.methods.rotate = async function() {
+  const refreshToken = generateToken(40);
+
+  this.previousRefreshTokenHash = this.refreshTokenHash;
+  this.refreshTokenHash = hashToken(refreshToken);
+  this.expiresAt = new Date(Date.now() + getRefreshTokenLifetime());
+  await this.save();
+
+  return refreshToken;
+};
+
+// Instance method to record activity (at most once a minute to limit writes)
+sessionSchema.methods.touch = function(ipAddress) {
+  if (this.lastSeenAt && Date.now() - this.lastSeenAt < 60 * 1000) {
+    return Promise.resolve();
+  }
+
+  this.lastSeenAt = new Date();
+  if (ipAddress) this.ipAddress = ipAddress;
+  return this.updateOne({ $set: { lastSeenAt: this.lastSeenAt, ipAddress: this.ipAddress } });
+};
+
+// Instance method to revoke the session
+sessionSchema.methods.revoke = function(reason = 'logout') {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const { generateToken, hashToken } = require('../utils/tokens');
+
+const subscriberSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email address'],
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'confirmed', 'unsubscribed'],
+    default: 'pending',
+  },
+  // 'immediate' gets a digest after every sync that adds posts, 'weekly' one digest per week
+  frequency: {
+    type: String,
+    enum: ['immediate', 'weekly'],
+    default: 'immediate',
+  },
+  // Only posts with one of these tags are sent, an empty list means every post
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+  }],
+  confirmToken: {
+    type: String,
+    select: false,
+  },
+  confirmTokenExpire: {
+    type: Date,
+    select: false,
+  },
+  // Kept in plain text because every digest links to it, it only allows unsubscribing
+  unsubscribeToken: {
+    type: String,
+    select: false,
+  },
+  confirmedAt: {
+    type: Date,
+    default: null,
+  },
+  unsubscribedAt: {
+    type: Date,
+    default: null,
+  },
+  lastDigestAt: {
+    type: Date,
+    default: null,
+  },
+  ipAddress: {
+    type: String,
+    select: false,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes for better query performance
+subscriberSchema.index({ status: 1, frequency: 1 });
+subscriberSchema.index({ confirmToken: 1 }, { sparse: true });
+subscriberSchema.index({ unsubscribeToken: 1 }, { sparse: true });
+subscriberSchema.index({ createdAt: -1 });
+
+// Instance method to generate a confirmation token (only the hash is stored)
+subscriberSchema.methods.getConfirmToken = function(validForHours) {
+  const confirmToken = generateToken();
+  const expireHours = validForHours || parseInt(process.env.NEWSLETTER_CONFIRM_EXPIRE_HOURS) || 48;
+
+  this.confirmToken = hashToken(confirmToken);
+  this.confirmTokenExpire = new Date(Date.now() + expireHours * 60 * 60 * 1000);
+
+  return confirmToken;
+};
+
+// Instance method to confirm the subscription
+subscriberSchema.methods.confirm = function() {
+  this.status = 'confirmed';
+  this.confirmedAt = new Date();
+  this.unsubscribedAt = null;
+  this.confirmToken = undefined;
+  this.confirmTokenExpire = undefined;
+
+  if (!this.unsubscribeToken) {
+    this.unsubscribeToken = generateToken();
+  }
+};
+
+// Instance method to check whether a post matches the subscriber's tag filter
+subscriberSchema.methods.wantsPost = function(post) {
+  if (!this.tags || this.tags.length === 0) return true;
+  return (post.tags || []).some(tag => this.tags.includes(tag.toLowerCase()));
+};
+
+// Static method to find a subscriber by an unexpired confirmation token
+subscriberSchema.statics.findByConfirmToken = function(confirmToken) {
+  return this.findOne({
+    confirmToken: hashToken(confirmToken),
+    confirmTokenExpire: { $gt: new Date() },
+  }).select('+confirmToken +confirmTokenExpire +unsubscribeToken');
+};
+
+// Static method to get confirmed subscribers of a digest frequency
+subscriberSchema.statics.getConfirmed = function(frequency) {
+  return this.find({ status: 'confirmed', frequency })
+    .select('+unsubscribeToken');
+};
+
+module.exports = mongoose.model('Subscriber', subscriberSchema);
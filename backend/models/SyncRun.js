@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+const syncRunSchema = new mongoose.Schema({
+  trigger: {
+    type: String,
+    enum: ['manual', 'scheduled'],
+    required: true,
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  status: {
+    type: String,
+    enum: ['running', 'success', 'failed'],
+    default: 'running',
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  finishedAt: {
+    type: Date,
+    default: null,
+  },
+  totalProcessed: {
+    type: Number,
+    default: 0,
+  },
+  createdCount: {
+    type: Number,
+    default: 0,
+  },
+  updatedCount: {
+    type: Number,
+    default: 0,
+  },
+  errorCount: {
+    type: Number,
+    default: 0,
+  },
+  // Articles recognised as cross-posts of an existing post
+  duplicateCount: {
+    type: Number,
+    default: 0,
+  },
+  // Per-source outcome
+  sourceResults: [{
+    _id: false,
+    key: String,
+    name: String,
+    provider: String,
+    totalProcessed: Number,
+    createdCount: Number,
+    updatedCount: Number,
+    duplicateCount: Number,
+    errorCount: Number,
+    error: String,
+  }],
+  // Per-article failures
+  articleErrors: [{
+    _id: false,
+    title: String,
+    source: String,
+    sourceId: String,
+    message: String,
+  }],
+  // Set when the whole run failed (e.g. no source could be fetched)
+  error: {
+    type: String,
+    default: null,
+  },
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+// Indexes for better query performance
+syncRunSchema.index({ startedAt: -1 });
+syncRunSchema.index({ status: 1, startedAt: -1 });
+
+// Virtual for run duration in milliseconds
+syncRunSchema.virtual('durationMs').get(function() {
+  if (!this.finishedAt) return null;
+  return this.finishedAt - this.startedAt;
+});
+
+// Static method to get the most recent runs
+syncRunSchema.statics.getRecent = function(limit = 10) {
+  return this.find()
+    .sort({ startedAt: -1 })
+    .limit(limit);
+};
+
+// Static method to get the last finished run
+syncRunSchema.statics.getLastFinished = function() {
+  return this.findOne({ status: { $ne: 'running' } })
+    .sort({ startedAt: -1 });
+};
+
+module.exports = mongoose.model('SyncRun', syncRunSchema);
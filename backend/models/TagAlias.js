@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const tagAliasSchema = new mongoose.Schema({
+  // Tag as it arrives from a feed or editor, e.g. "js"
+  alias: {
+    type: String,
+    required: [true, 'Alias is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    maxlength: [50, 'Alias cannot be more than 50 characters'],
+  },
+  // Tag it is stored as, e.g. "javascript"
+  canonical: {
+    type: String,
+    required: [true, 'Canonical tag is required'],
+    trim: true,
+    lowercase: true,
+    maxlength: [50, 'Canonical tag cannot be more than 50 characters'],
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes for better query performance
+tagAliasSchema.index({ canonical: 1 });
+
+// Static method to get every alias as a Map of alias => canonical tag
+tagAliasSchema.statics.getAliasMap = async function() {
+  const aliases = await this.find().select('alias canonical');
+  return new Map(aliases.map(({ alias, canonical }) => [alias, canonical]));
+};
+
+module.exports = mongoose.model('TagAlias', tagAliasSchema);
@@ -1,6 +1,9 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { generateSecret, verifyTotp, buildOtpauthUri } = require('../utils/totp');
+const { getRolePermissions } = require('../config/permissions');
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -58,10 +61,32 @@ const userSchema = new mongoose.Schema({
   resetPasswordToken: {
     type: String,
     default: null,
+    select: false,
   },
   resetPasswordExpire: {
     type: Date,
     default: null,
+    select: false,
+  },
+  // Two-factor authentication (TOTP)
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false,
+  },
+  twoFactorSecret: {
+    type: String,
+    default: null,
+    select: false,
+  },
+  twoFactorLastUsedStep: {
+    type: Number,
+    default: null,
+    select: false,
+  },
+  twoFactorRecoveryCodes: {
+    type: [String], // hashed
+    default: [],
+    select: false,
   },
 }, {
   timestamps: true,
@@ -78,6 +103,11 @@ userSchema.virtual('isLocked').get(function() {
   return !!(this.lockUntil && this.lockUntil > Date.now());
 });
 
+// Virtual for the permissions granted by the user's role
+userSchema.virtual('permissions').get(function() {
+  return getRolePermissions(this.role);
+});
+
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
   // Only hash the password if it has been modified (or is new)
@@ -93,27 +123,54 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// Instance method to check a named permission
+userSchema.methods.hasPermission = function(permission) {
+  return this.permissions.includes(permission);
+};
+
 // Instance method to check password
 userSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
-// Instance method to generate JWT token
-userSchema.methods.getSignedJwtToken = function() {
+// Instance method to generate a short-lived JWT access token bound to a session
+userSchema.methods.getSignedJwtToken = function(sessionId) {
   return jwt.sign(
     { 
       id: this._id,
+      sid: sessionId,
       username: this.username,
       role: this.role 
     },
     process.env.JWT_SECRET,
     {
-      expiresIn: process.env.JWT_EXPIRE || '7d',
+      expiresIn: process.env.JWT_EXPIRE || '15m',
     }
   );
 };
 
-// Instance method to handle failed login attempts
+// Instance method to generate the short-lived token for the second login step
+userSchema.methods.getTwoFactorChallengeToken = function() {
+  return jwt.sign(
+    { id: this._id, purpose: '2fa' },
+    process.env.JWT_SECRET,
+    { expiresIn: '5m' }
+  );
+};
+
+// Static method to resolve a 2FA challenge token to a user ID
+userSchema.statics.verifyTwoFactorChallengeToken = function(token) {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === '2fa' ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Instance method to count failed login attempts.
+// Guessing is slowed down by services/loginThrottle.js instead of a hard lock,
+// so an attacker cannot lock the owner out on purpose.
 userSchema.methods.incLoginAttempts = function() {
   // If we have a previous lock that has expired, restart at 1
   if (this.lockUntil && this.lockUntil < Date.now()) {
@@ -122,15 +179,8 @@ userSchema.methods.incLoginAttempts = function() {
       $set: { loginAttempts: 1 }
     });
   }
-  
-  const updates = { $inc: { loginAttempts: 1 } };
-  
-  // Lock account after 5 failed attempts for 2 hours
-  if (this.loginAttempts + 1 >= 5 && !this.isLocked) {
-    updates.$set = { lockUntil: Date.now() + 2 * 60 * 60 * 1000 }; // 2 hours
-  }
-  
-  return this.updateOne(updates);
+
+  return this.updateOne({ $inc: { loginAttempts: 1 } });
 };
 
 // Instance method to reset login attempts
@@ -141,6 +191,94 @@ userSchema.methods.resetLoginAttempts = function() {
   });
 };
 
+// Instance method to generate a password reset token (only the hash is stored)
+userSchema.methods.getResetPasswordToken = function(validForMinutes) {
+  const resetToken = generateToken();
+  const expireMinutes = validForMinutes || parseInt(process.env.RESET_PASSWORD_EXPIRE_MINUTES) || 30;
+
+  this.resetPasswordToken = hashToken(resetToken);
+  this.resetPasswordExpire = new Date(Date.now() + expireMinutes * 60 * 1000);
+
+  return resetToken;
+};
+
+// Instance method to start 2FA enrollment and return the otpauth URI
+userSchema.methods.setupTwoFactor = function() {
+  this.twoFactorSecret = generateSecret();
+  this.twoFactorLastUsedStep = null;
+
+  return {
+    secret: this.twoFactorSecret,
+    otpauthUrl: buildOtpauthUri(
+      this.twoFactorSecret,
+      this.username,
+      process.env.TWO_FACTOR_ISSUER || 'Portfolio Admin'
+    ),
+  };
+};
+
+// Instance method to check a TOTP code (requires +twoFactorSecret +twoFactorLastUsedStep)
+userSchema.methods.verifyTwoFactorCode = function(code) {
+  if (!this.twoFactorSecret) return false;
+
+  const step = verifyTotp(this.twoFactorSecret, code, {
+    lastUsedStep: this.twoFactorLastUsedStep,
+  });
+
+  if (step === null) return false;
+
+  // Remember the step so the same code cannot be replayed
+  this.twoFactorLastUsedStep = step;
+  return true;
+};
+
+// Instance method to generate new recovery codes (only hashes are stored)
+userSchema.methods.generateRecoveryCodes = function(count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = generateToken(5);
+    return `${raw.substring(0, 5)}-${raw.substring(5)}`;
+  });
+
+  this.twoFactorRecoveryCodes = codes.map(code => hashToken(code));
+  return codes;
+};
+
+// Instance method to consume a one-time recovery code (requires +twoFactorRecoveryCodes)
+userSchema.methods.useRecoveryCode = function(code) {
+  const codeHash = hashToken(String(code || '').trim().toLowerCase());
+  const index = this.twoFactorRecoveryCodes.indexOf(codeHash);
+
+  if (index === -1) return false;
+
+  this.twoFactorRecoveryCodes.splice(index, 1);
+  return true;
+};
+
+// Instance method to turn 2FA off and clear its secrets
+userSchema.methods.disableTwoFactor = function() {
+  this.twoFactorEnabled = false;
+  this.twoFactorSecret = null;
+  this.twoFactorLastUsedStep = null;
+  this.twoFactorRecoveryCodes = [];
+};
+
+// Static method to find a user by a valid, unexpired reset token
+userSchema.statics.findByResetToken = function(resetToken) {
+  return this.findOne({
+    resetPasswordToken: hashToken(resetToken),
+    resetPasswordExpire: { $gt: Date.now() },
+  });
+};
+
+// Static method to count active admins other than the given user
+userSchema.statics.countOtherActiveAdmins = function(userId) {
+  return this.countDocuments({
+    _id: { $ne: userId },
+    role: 'admin',
+    isActive: true,
+  });
+};
+
 // Static method to create admin user
 userSchema.statics.createAdmin = async function(username, password, email = null) {
   const adminExists = await this.findOne({ role: 'admin' });
@@ -0,0 +1,42 @@
+const express = require('express');
+const { query } = require('express-validator');
+const { getAuditLogs } = require('../controllers/auditController');
+const { protect, requirePermission } = require('../middlewares/auth');
+const { PERMISSIONS } = require('../config/permissions');
+
+const router = express.Router();
+
+// Validation rules for audit log filters
+const auditQueryValidation = [
+  query('actor')
+    .optional()
+    .isMongoId()
+    .withMessage('Actor must be a valid user ID'),
+  query('targetId')
+    .optional()
+    .isMongoId()
+    .withMessage('Target ID must be a valid ID'),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be an ISO 8601 date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be an ISO 8601 date'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+];
+
+router.use(protect);
+router.use(requirePermission(PERMISSIONS.AUDIT_READ));
+
+router.get('/', auditQueryValidation, getAuditLogs);
+
+module.exports = router;
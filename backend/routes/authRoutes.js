@@ -1,13 +1,31 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, param } = require('express-validator');
 const {
   login,
+  loginTwoFactor,
+  refresh,
   getMe,
   updateProfile,
   changePassword,
+  setupTwoFactor,
+  verifyTwoFactor,
+  disableTwoFactor,
+  forgotPassword,
+  resetPassword,
   logout,
 } = require('../controllers/authController');
-const { protect } = require('../middlewares/auth');
+const {
+  getApiTokens,
+  createApiToken,
+  revokeApiToken,
+} = require('../controllers/apiTokenController');
+const {
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
+} = require('../controllers/sessionController');
+const { protect, requirePermission, sessionOnly } = require('../middlewares/auth');
+const { PERMISSIONS } = require('../config/permissions');
 
 const router = express.Router();
 
@@ -22,6 +40,62 @@ const loginValidation = [
     .withMessage('Password is required'),
 ];
 
+// Either a TOTP code or a recovery code must be supplied
+const twoFactorCodeValidation = [
+  body('code')
+    .optional()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be a 6-digit number'),
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .withMessage('Recovery code must be a string'),
+  body().custom((value) => {
+    if (!value.code && !value.recoveryCode) {
+      throw new Error('A two-factor code or recovery code is required');
+    }
+    return true;
+  }),
+];
+
+// Validation rules for the second login step
+const loginTwoFactorValidation = [
+  body('twoFactorToken')
+    .notEmpty()
+    .withMessage('Two-factor token is required'),
+  ...twoFactorCodeValidation,
+];
+
+// Validation rules for starting 2FA setup
+const twoFactorSetupValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+];
+
+// Validation rules for confirming 2FA setup
+const twoFactorVerifyValidation = [
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be a 6-digit number'),
+];
+
+// Validation rules for disabling 2FA
+const twoFactorDisableValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  ...twoFactorCodeValidation,
+];
+
+// Validation rules for token refresh (in cookie mode the token comes from a cookie)
+const refreshValidation = [
+  body('refreshToken')
+    .optional()
+    .isString()
+    .withMessage('Refresh token must be a string'),
+];
+
 // Validation rules for profile update
 const profileValidation = [
   body('email')
@@ -43,15 +117,78 @@ const passwordChangeValidation = [
     .withMessage('New password must contain at least one uppercase letter, one lowercase letter, and one number'),
 ];
 
+// Validation rules for forgot password
+const forgotPasswordValidation = [
+  body('email')
+    .notEmpty()
+    .withMessage('Email is required')
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail(),
+];
+
+// Validation rules for password reset
+const resetPasswordValidation = [
+  param('token')
+    .isHexadecimal()
+    .withMessage('Invalid password reset token'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number'),
+];
+
+// Validation rules for API token creation
+const apiTokenValidation = [
+  body('name')
+    .notEmpty()
+    .withMessage('Token name is required')
+    .isLength({ max: 100 })
+    .withMessage('Token name cannot be more than 100 characters')
+    .trim(),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  body('scopes.*')
+    .isIn(Object.values(PERMISSIONS))
+    .withMessage('Unknown scope'),
+  body('expiresAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Expiry must be an ISO 8601 date')
+    .custom(value => new Date(value) > Date.now())
+    .withMessage('Expiry must be in the future')
+    .toDate(),
+];
+
 // Public routes
 router.post('/login', loginValidation, login);
+router.post('/login/2fa', loginTwoFactorValidation, loginTwoFactor);
+router.post('/refresh', refreshValidation, refresh);
+router.post('/forgot-password', forgotPasswordValidation, forgotPassword);
+router.post('/reset-password/:token', resetPasswordValidation, resetPassword);
 
-// Protected routes
+// Protected routes (interactive logins only, API tokens are rejected)
 router.use(protect);
+router.use(sessionOnly);
 
 router.get('/me', getMe);
 router.put('/profile', profileValidation, updateProfile);
 router.put('/change-password', passwordChangeValidation, changePassword);
+router.post('/2fa/setup', twoFactorSetupValidation, setupTwoFactor);
+router.post('/2fa/verify', twoFactorVerifyValidation, verifyTwoFactor);
+router.post('/2fa/disable', twoFactorDisableValidation, disableTwoFactor);
 router.post('/logout', logout);
 
+// Session management
+router.get('/sessions', getSessions);
+router.delete('/sessions', revokeAllSessions);
+router.delete('/sessions/:id', revokeSession);
+
+// API token management
+router.get('/tokens', requirePermission(PERMISSIONS.TOKENS_MANAGE), getApiTokens);
+router.post('/tokens', requirePermission(PERMISSIONS.TOKENS_MANAGE), apiTokenValidation, createApiToken);
+router.delete('/tokens/:id', requirePermission(PERMISSIONS.TOKENS_MANAGE), revokeApiToken);
+
 module.exports = router;
\ No newline at end of file
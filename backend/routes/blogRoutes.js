@@ -1,20 +1,136 @@
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const { body } = require('express-validator');
 const {
   getBlogPosts,
   getBlogPost,
-  syncMediumArticles,
+  getBlogFeed,
+  likeBlogPost,
+  unlikeBlogPost,
+  createBlogPost,
+  syncFeedArticles,
   getSyncStatus,
   getBlogStats,
   updateBlogPost,
   deleteBlogPost,
 } = require('../controllers/blogController');
-const { protect, authorize } = require('../middlewares/auth');
+const {
+  getFeedSources,
+  createFeedSource,
+  updateFeedSource,
+  deleteFeedSource,
+} = require('../controllers/feedSourceController');
+const {
+  getSeries,
+  getAllSeries,
+  createSeries,
+  updateSeries,
+  deleteSeries,
+} = require('../controllers/seriesController');
+const {
+  getTags,
+  getTagAliases,
+  createTagAlias,
+  deleteTagAlias,
+  mergeTags,
+} = require('../controllers/tagController');
+const {
+  getPostComments,
+  submitComment,
+} = require('../controllers/commentController');
+const { protect, requirePermission, optionalAuth } = require('../middlewares/auth');
+const { PERMISSIONS } = require('../config/permissions');
 
 const router = express.Router();
 
-// Validation rules for blog post updates
-const blogUpdateValidation = [
+// Like/unlike specific rate limiting (on top of the global API limiter)
+const likeLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30, // limit each IP to 30 likes/unlikes per 15 minutes
+  message: {
+    error: 'Too many like requests, please try again later.',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Comment specific rate limiting, comments are held for moderation anyway
+const commentLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // limit each IP to 5 comments per 15 minutes
+  message: {
+    error: 'Too many comments, please try again later.',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Validation rules for comments
+const commentValidation = [
+  body('name')
+    .notEmpty()
+    .withMessage('Name is required')
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Name must be between 2 and 50 characters')
+    .trim()
+    .escape(),
+  body('email')
+    .notEmpty()
+    .withMessage('Email is required')
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail(),
+  body('body')
+    .notEmpty()
+    .withMessage('Comment is required')
+    .isLength({ min: 2, max: 2000 })
+    .withMessage('Comment must be between 2 and 2000 characters')
+    .trim()
+    .escape(),
+  body('parentId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Parent must be a valid comment ID'),
+];
+
+// Shared rules for blog post fields
+const blogPostFields = [
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot be more than 500 characters'),
+  body('tags')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Tags must be an array of at most 10 items'),
+  body('categories')
+    .optional()
+    .isArray({ max: 5 })
+    .withMessage('Categories must be an array of at most 5 items'),
+  body('imageUrl')
+    .optional()
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('Image URL must be a valid http(s) URL'),
+  body('author')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Author must be between 1 and 100 characters'),
+  body('publishedAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Published date must be a valid ISO 8601 date'),
+  body('metaTitle')
+    .optional()
+    .trim()
+    .isLength({ max: 60 })
+    .withMessage('Meta title cannot be more than 60 characters'),
+  body('metaDescription')
+    .optional()
+    .trim()
+    .isLength({ max: 160 })
+    .withMessage('Meta description cannot be more than 160 characters'),
   body('featured')
     .optional()
     .isBoolean()
@@ -25,21 +141,175 @@ const blogUpdateValidation = [
     .withMessage('Status must be published, draft, or archived'),
 ];
 
+// Validation rules for native Markdown posts
+const blogCreateValidation = [
+  body('title')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Title must be between 1 and 200 characters'),
+  body('markdown')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Markdown content is required'),
+  ...blogPostFields,
+];
+
+// Validation rules for blog post updates
+const blogUpdateValidation = [
+  body('slug')
+    .optional()
+    .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+    .withMessage('Slug may only contain lowercase letters, numbers and single hyphens'),
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Title must be between 1 and 200 characters'),
+  body('markdown')
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Markdown content cannot be empty'),
+  ...blogPostFields,
+];
+
+// Shared rules for series fields
+const seriesFields = [
+  body('slug')
+    .optional()
+    .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+    .withMessage('Slug may only contain lowercase letters, numbers and single hyphens'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description cannot be more than 1000 characters'),
+  body('posts')
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage('Posts must be an array of at most 100 post IDs'),
+  body('posts.*')
+    .isMongoId()
+    .withMessage('Each post must be a valid blog post ID'),
+];
+
+// Validation rules for new series
+const seriesCreateValidation = [
+  body('title')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Title must be between 1 and 200 characters'),
+  ...seriesFields,
+];
+
+// Validation rules for series updates
+const seriesUpdateValidation = [
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Title must be between 1 and 200 characters'),
+  ...seriesFields,
+];
+
+// Validation rules for tag aliases
+const tagAliasValidation = [
+  body('alias')
+    .isString()
+    .trim()
+    .toLowerCase()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Alias must be between 1 and 50 characters'),
+  body('canonical')
+    .isString()
+    .trim()
+    .toLowerCase()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Canonical tag must be between 1 and 50 characters'),
+];
+
+// Validation rules for merging tags
+const tagMergeValidation = [
+  body('from')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('From must be an array of 1 to 50 tags'),
+  body('from.*')
+    .isString()
+    .trim()
+    .toLowerCase()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Each tag must be between 1 and 50 characters'),
+  body('to')
+    .isString()
+    .trim()
+    .toLowerCase()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Target tag must be between 1 and 50 characters'),
+];
+
+// Validation rules for feed sources
+const feedSourceValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  body('provider')
+    .optional()
+    .isIn(['medium', 'devto', 'hashnode', 'rss'])
+    .withMessage('Provider must be medium, devto, hashnode, or rss'),
+  body('url')
+    .optional()
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('URL must be a valid http(s) URL'),
+  body('enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('Enabled must be a boolean value'),
+];
+
 // Public routes
 router.get('/', getBlogPosts);
-router.get('/:slug', getBlogPost);
+router.get('/feed.:format(rss|atom|json)', getBlogFeed);
+router.get('/tags', getTags);
+router.get('/series/:slug', getSeries);
+router.get('/:slug', optionalAuth, getBlogPost);
+router.post('/:slug/like', likeLimiter, likeBlogPost);
+router.delete('/:slug/like', likeLimiter, unlikeBlogPost);
+router.get('/:slug/comments', getPostComments);
+router.post('/:slug/comments', commentLimiter, commentValidation, submitComment);
 
-// Protected admin routes
+// Protected routes
 router.use(protect);
-router.use(authorize('admin'));
 
-// Admin blog management routes
-router.get('/admin/stats', getBlogStats);
-router.put('/:id', blogUpdateValidation, updateBlogPost);
-router.delete('/:id', deleteBlogPost);
+// Blog management routes
+router.get('/admin/stats', requirePermission(PERMISSIONS.BLOG_STATS), getBlogStats);
+router.post('/', requirePermission(PERMISSIONS.BLOG_WRITE), blogCreateValidation, createBlogPost);
+router.put('/:id', requirePermission(PERMISSIONS.BLOG_WRITE), blogUpdateValidation, updateBlogPost);
+router.delete('/:id', requirePermission(PERMISSIONS.BLOG_DELETE), deleteBlogPost);
+
+// Series management routes
+router.get('/admin/series', requirePermission(PERMISSIONS.BLOG_WRITE), getAllSeries);
+router.post('/admin/series', requirePermission(PERMISSIONS.BLOG_WRITE), seriesCreateValidation, createSeries);
+router.put('/admin/series/:id', requirePermission(PERMISSIONS.BLOG_WRITE), seriesUpdateValidation, updateSeries);
+router.delete('/admin/series/:id', requirePermission(PERMISSIONS.BLOG_DELETE), deleteSeries);
+
+// Tag taxonomy routes
+router.get('/admin/tags/aliases', requirePermission(PERMISSIONS.BLOG_TAGS), getTagAliases);
+router.post('/admin/tags/aliases', requirePermission(PERMISSIONS.BLOG_TAGS), tagAliasValidation, createTagAlias);
+router.delete('/admin/tags/aliases/:id', requirePermission(PERMISSIONS.BLOG_TAGS), deleteTagAlias);
+router.post('/admin/tags/merge', requirePermission(PERMISSIONS.BLOG_TAGS), tagMergeValidation, mergeTags);
+
+// Feed sync routes
+router.post('/sync', requirePermission(PERMISSIONS.BLOG_SYNC), syncFeedArticles);
+router.get('/sync/status', requirePermission(PERMISSIONS.BLOG_SYNC), getSyncStatus);
 
-// Medium sync routes
-router.post('/sync', syncMediumArticles);
-router.get('/sync/status', getSyncStatus);
+// Feed source configuration
+router.get('/admin/sources', requirePermission(PERMISSIONS.BLOG_SOURCES), getFeedSources);
+router.post('/admin/sources', requirePermission(PERMISSIONS.BLOG_SOURCES), feedSourceValidation, createFeedSource);
+router.put('/admin/sources/:id', requirePermission(PERMISSIONS.BLOG_SOURCES), feedSourceValidation, updateFeedSource);
+router.delete('/admin/sources/:id', requirePermission(PERMISSIONS.BLOG_SOURCES), deleteFeedSource);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,85 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const {
+  getComments,
+  moderateComment,
+  bulkApproveComments,
+  deleteComment,
+  getCommentBans,
+  banCommenter,
+  removeCommentBan,
+} = require('../controllers/commentController');
+const { protect, requirePermission } = require('../middlewares/auth');
+const { PERMISSIONS } = require('../config/permissions');
+
+const router = express.Router();
+
+// Validation rules for the moderation queue filters
+const commentQueryValidation = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'approved', 'spam', 'all'])
+    .withMessage('Status must be pending, approved, spam, or all'),
+  query('post')
+    .optional()
+    .isMongoId()
+    .withMessage('Post must be a valid blog post ID'),
+];
+
+// Validation rules for moderating a single comment
+const moderateValidation = [
+  body('status')
+    .isIn(['pending', 'approved', 'spam'])
+    .withMessage('Status must be pending, approved, or spam'),
+];
+
+// Validation rules for bulk approval
+const bulkApproveValidation = [
+  body('ids')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('IDs must be an array of 1 to 100 comment IDs'),
+  body('ids.*')
+    .isMongoId()
+    .withMessage('Each ID must be a valid comment ID'),
+];
+
+// Validation rules for bans
+const banValidation = [
+  body('type')
+    .isIn(['email', 'ip'])
+    .withMessage('Type must be email or ip'),
+  body('value')
+    .trim()
+    .notEmpty()
+    .withMessage('Value is required')
+    .custom((value, { req }) => {
+      if (req.body.type === 'email') {
+        return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+      }
+      return /^[0-9a-f.:]+$/i.test(value);
+    })
+    .withMessage('Value must be a valid email address or IP address')
+    // Same normalization as comment emails (blogRoutes), so bans match stored authorEmail values
+    .if(body('type').equals('email'))
+    .normalizeEmail(),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Reason cannot be more than 200 characters'),
+];
+
+router.use(protect);
+
+// Bans (registered before /:id)
+router.get('/bans', requirePermission(PERMISSIONS.COMMENTS_BAN), getCommentBans);
+router.post('/bans', requirePermission(PERMISSIONS.COMMENTS_BAN), banValidation, banCommenter);
+router.delete('/bans/:id', requirePermission(PERMISSIONS.COMMENTS_BAN), removeCommentBan);
+
+// Moderation queue
+router.get('/', requirePermission(PERMISSIONS.COMMENTS_MODERATE), commentQueryValidation, getComments);
+router.post('/bulk-approve', requirePermission(PERMISSIONS.COMMENTS_MODERATE), bulkApproveValidation, bulkApproveComments);
+router.patch('/:id', requirePermission(PERMISSIONS.COMMENTS_MODERATE), moderateValidation, moderateComment);
+router.delete('/:id', requirePermission(PERMISSIONS.COMMENTS_MODERATE), deleteComment);
+
+module.exports = router;
@@ -8,7 +8,8 @@ const {
   deleteContactMessage,
   getContactStats,
 } = require('../controllers/contactController');
-const { protect, authorize } = require('../middlewares/auth');
+const { protect, requirePermission } = require('../middlewares/auth');
+const { PERMISSIONS } = require('../config/permissions');
 
 const router = express.Router();
 
@@ -39,14 +40,13 @@ const contactValidation = [
 // Public route - submit contact form
 router.post('/', contactValidation, submitContactForm);
 
-// Protected admin routes
+// Protected routes
 router.use(protect);
-router.use(authorize('admin'));
 
-router.get('/messages', getContactMessages);
-router.get('/stats', getContactStats);
-router.get('/messages/:id', getContactMessage);
-router.patch('/messages/:id', updateContactMessage);
-router.delete('/messages/:id', deleteContactMessage);
+router.get('/messages', requirePermission(PERMISSIONS.CONTACT_READ), getContactMessages);
+router.get('/stats', requirePermission(PERMISSIONS.CONTACT_READ), getContactStats);
+router.get('/messages/:id', requirePermission(PERMISSIONS.CONTACT_READ), getContactMessage);
+router.patch('/messages/:id', requirePermission(PERMISSIONS.CONTACT_UPDATE), updateContactMessage);
+router.delete('/messages/:id', requirePermission(PERMISSIONS.CONTACT_DELETE), deleteContactMessage);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,77 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { body, query } = require('express-validator');
+const {
+  subscribe,
+  confirmSubscription,
+  unsubscribe,
+  getSubscribers,
+  getNewsletterStats,
+  exportSubscribers,
+} = require('../controllers/newsletterController');
+const { protect, requirePermission } = require('../middlewares/auth');
+const { PERMISSIONS } = require('../config/permissions');
+
+const router = express.Router();
+
+// Subscribe specific rate limiting, every request can send an email
+const subscribeLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // limit each IP to 5 subscribe requests per 15 minutes
+  message: {
+    error: 'Too many subscription requests, please try again later.',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Validation rules for subscribing
+const subscribeValidation = [
+  body('email')
+    .notEmpty()
+    .withMessage('Email is required')
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail(),
+  body('frequency')
+    .optional()
+    .isIn(['immediate', 'weekly'])
+    .withMessage('Frequency must be immediate or weekly'),
+  body('tags')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Tags must be an array of at most 10 items'),
+  body('tags.*')
+    .isString()
+    .trim()
+    .toLowerCase()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Each tag must be between 1 and 50 characters'),
+];
+
+// Validation rules for subscriber filters
+const subscriberQueryValidation = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'confirmed', 'unsubscribed'])
+    .withMessage('Status must be pending, confirmed, or unsubscribed'),
+  query('frequency')
+    .optional()
+    .isIn(['immediate', 'weekly'])
+    .withMessage('Frequency must be immediate or weekly'),
+];
+
+// Public routes
+router.post('/subscribe', subscribeLimiter, subscribeValidation, subscribe);
+router.post('/confirm/:token', confirmSubscription);
+router.post('/unsubscribe/:token', unsubscribe);
+
+// Protected routes
+router.use(protect);
+router.use(requirePermission(PERMISSIONS.NEWSLETTER_MANAGE));
+
+router.get('/stats', getNewsletterStats);
+router.get('/subscribers', subscriberQueryValidation, getSubscribers);
+router.get('/subscribers/export', subscriberQueryValidation, exportSubscribers);
+
+module.exports = router;
@@ -8,7 +8,8 @@ const {
   deleteProject,
   getProjectStats,
 } = require('../controllers/projectController');
-const { protect, authorize } = require('../middlewares/auth');
+const { protect, requirePermission } = require('../middlewares/auth');
+const { PERMISSIONS } = require('../config/permissions');
 
 const router = express.Router();
 
@@ -65,15 +66,14 @@ const projectValidation = [
 
 // Public routes
 router.get('/', getProjects);
-router.get('/stats', protect, authorize('admin'), getProjectStats);
+router.get('/stats', protect, requirePermission(PERMISSIONS.PROJECTS_STATS), getProjectStats);
 router.get('/:id', getProject);
 
-// Protected admin routes
+// Protected routes
 router.use(protect);
-router.use(authorize('admin'));
 
-router.post('/', projectValidation, createProject);
-router.put('/:id', projectValidation, updateProject);
-router.delete('/:id', deleteProject);
+router.post('/', requirePermission(PERMISSIONS.PROJECTS_WRITE), projectValidation, createProject);
+router.put('/:id', requirePermission(PERMISSIONS.PROJECTS_WRITE), projectValidation, updateProject);
+router.delete('/:id', requirePermission(PERMISSIONS.PROJECTS_DELETE), deleteProject);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,17 @@
+const express = require('express');
+const {
+  getSecurityEvents,
+  reviewSecurityEvent,
+} = require('../controllers/securityController');
+const { protect, requirePermission } = require('../middlewares/auth');
+const { PERMISSIONS } = require('../config/permissions');
+
+const router = express.Router();
+
+router.use(protect);
+router.use(requirePermission(PERMISSIONS.SECURITY_REVIEW));
+
+router.get('/', getSecurityEvents);
+router.patch('/:id', reviewSecurityEvent);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const {
+  getSitemap,
+  getSitemapPage,
+  getRobotsTxt,
+} = require('../controllers/seoController');
+
+const router = express.Router();
+
+// Public routes (served from the site root, not /api)
+router.get('/sitemap.xml', getSitemap);
+router.get('/sitemap-:page(\\d+).xml', getSitemapPage);
+router.get('/robots.txt', getRobotsTxt);
+
+module.exports = router;
@@ -0,0 +1,72 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  getUsers,
+  getUser,
+  inviteUser,
+  updateUser,
+  changeUserRole,
+  unlockUser,
+  deactivateUser,
+} = require('../controllers/userController');
+const { protect, requirePermission } = require('../middlewares/auth');
+const { PERMISSIONS } = require('../config/permissions');
+
+const router = express.Router();
+
+// Validation rules for inviting a user
+const inviteValidation = [
+  body('username')
+    .notEmpty()
+    .withMessage('Username is required')
+    .isLength({ min: 3, max: 30 })
+    .withMessage('Username must be between 3 and 30 characters')
+    .matches(/^[a-zA-Z0-9_]+$/)
+    .withMessage('Username can only contain letters, numbers, and underscores')
+    .trim(),
+  body('email')
+    .notEmpty()
+    .withMessage('Email is required to send the invite')
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail(),
+  body('role')
+    .optional()
+    .isIn(['admin', 'editor'])
+    .withMessage('Role must be admin or editor'),
+];
+
+// Validation rules for user updates
+const updateValidation = [
+  body('email')
+    .optional({ nullable: true, checkFalsy: true })
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail(),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean value')
+    .toBoolean(),
+];
+
+// Validation rules for role changes
+const roleValidation = [
+  body('role')
+    .isIn(['admin', 'editor'])
+    .withMessage('Role must be admin or editor'),
+];
+
+// All user management routes require the users:manage permission
+router.use(protect);
+router.use(requirePermission(PERMISSIONS.USERS_MANAGE));
+
+router.get('/', getUsers);
+router.post('/', inviteValidation, inviteUser);
+router.get('/:id', getUser);
+router.put('/:id', updateValidation, updateUser);
+router.delete('/:id', deactivateUser);
+router.patch('/:id/role', roleValidation, changeUserRole);
+router.post('/:id/unlock', unlockUser);
+
+module.exports = router;
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const BlogPost = require('../models/BlogPost');
+
+// Connect to database
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ MongoDB Connected');
+  } catch (error) {
+    console.error('❌ Error connecting to MongoDB:', error);
+    process.exit(1);
+  }
+};
+
+// Give posts imported before feed providers existed a source and sourceId
+const backfillSources = async () => {
+  const posts = await BlogPost.find({ sourceId: { $exists: false }, mediumId: { $exists: true } });
+
+  for (const post of posts) {
+    await BlogPost.updateOne(
+      { _id: post._id },
+      {
+        source: 'medium',
+        sourceId: post.mediumId,
+        sourceUrl: post.mediumUrl,
+        canonicalUrl: post.mediumUrl,
+      }
+    );
+  }
+
+  console.log(`📝 ${posts.length} blog posts backfilled`);
+};
+
+// Main migration function
+const migrate = async () => {
+  try {
+    console.log('🔧 Migrating blog posts to feed sources...');
+
+    await connectDB();
+    await backfillSources();
+
+    // Replaces the old non-sparse mediumId index, which allowed only one non-Medium post
+    const dropped = await BlogPost.syncIndexes();
+    console.log(`🗂️  Indexes synced${dropped.length ? ` (dropped: ${dropped.join(', ')})` : ''}`);
+
+    console.log('\n✅ Migration completed successfully!');
+  } catch (error) {
+    console.error('❌ Error migrating blog posts:', error);
+    process.exitCode = 1;
+  } finally {
+    mongoose.connection.close();
+    console.log('\n🔌 Database connection closed');
+  }
+};
+
+migrate();
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const relatedPostsService = require('../services/relatedPostsService');
+
+// Connect to database
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ MongoDB Connected');
+  } catch (error) {
+    console.error('❌ Error connecting to MongoDB:', error);
+    process.exit(1);
+  }
+};
+
+// Compute related posts for every published post (normally done after each sync or post update)
+const rebuild = async () => {
+  try {
+    console.log('🔗 Rebuilding related posts...');
+
+    await connectDB();
+    const count = await relatedPostsService.recomputeAll();
+
+    console.log(`\n✅ Related posts computed for ${count} posts`);
+  } catch (error) {
+    console.error('❌ Error rebuilding related posts:', error);
+    process.exitCode = 1;
+  } finally {
+    mongoose.connection.close();
+    console.log('\n🔌 Database connection closed');
+  }
+};
+
+rebuild();
@@ -12,8 +12,8 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
+const cookieParser = require('cookie-parser');
 const mongoSanitize = require('express-mongo-sanitize');
-const xss = require('xss-clean');
 const rateLimit = require('express-rate-limit');
 require('express-async-errors');
 
@@ -21,12 +21,21 @@ require('express-async-errors');
 const connectDB = require('./config/database');
 const logger = require('./utils/logger');
 const errorHandler = require('./middlewares/errorHandler');
+const { sanitizeInput } = require('./middlewares/sanitizeInput');
+const syncScheduler = require('./services/syncScheduler');
+const newsletterScheduler = require('./services/newsletterScheduler');
 
 // Import routes
 const projectRoutes = require('./routes/projectRoutes');
 const contactRoutes = require('./routes/contactRoutes');
 const authRoutes = require('./routes/authRoutes');
 const blogRoutes = require('./routes/blogRoutes');
+const commentRoutes = require('./routes/commentRoutes');
+const newsletterRoutes = require('./routes/newsletterRoutes');
+const userRoutes = require('./routes/userRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const securityRoutes = require('./routes/securityRoutes');
+const seoRoutes = require('./routes/seoRoutes');
 
 const app = express();
 
@@ -98,10 +107,11 @@ app.use(cors(corsOptions));
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+app.use(cookieParser());
 
 // Data sanitization
 app.use(mongoSanitize()); // Against NoSQL query injection
-app.use(xss()); // Against XSS attacks
+app.use(sanitizeInput()); // Against XSS attacks (xss-clean, Markdown is sanitized when rendered)
 
 // Compression middleware
 app.use(compression());
@@ -127,6 +137,14 @@ app.use('/api/projects', projectRoutes);
 app.use('/api/contact', contactLimiter, contactRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/blog', blogRoutes);
+app.use('/api/comments', commentRoutes);
+app.use('/api/newsletter', newsletterRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/audit-logs', auditRoutes);
+app.use('/api/security-events', securityRoutes);
+
+// Sitemap and robots.txt
+app.use('/', seoRoutes);
 
 // Handle undefined routes
 app.all('*', (req, res) => {
@@ -143,6 +161,10 @@ const PORT = process.env.PORT || 5000;
 
 const server = app.listen(PORT, () => {
   logger.info(`🚀 Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
+
+  // Start scheduled blog sync and newsletter digests
+  syncScheduler.start();
+  newsletterScheduler.start();
 });
 
 // Handle unhandled promise rejections
@@ -157,6 +179,8 @@ process.on('unhandledRejection', (err) => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('👋 SIGTERM RECEIVED. Shutting down gracefully');
+  syncScheduler.stop();
+  newsletterScheduler.stop();
   server.close(() => {
     logger.info('💥 Process terminated!');
   });
@@ -0,0 +1,90 @@
+const AuditLog = require('../models/AuditLog');
+const logger = require('../utils/logger');
+
+// Bookkeeping fields that never count as a change
+const IGNORED_FIELDS = ['_id', 'id', '__v', 'createdAt', 'updatedAt'];
+
+// Secrets that must never be written to the audit trail
+const REDACTED_FIELDS = [
+  'password',
+  'resetPasswordToken',
+  'twoFactorSecret',
+  'twoFactorRecoveryCodes',
+  'tokenHash',
+  'refreshTokenHash',
+  'previousRefreshTokenHash',
+];
+
+class AuditService {
+  /**
+   * Convert a document (or plain object) to a plain object
+   */
+  toPlain(doc) {
+    if (!doc) return null;
+    if (typeof doc.toObject === 'function') {
+      return doc.toObject({ virtuals: false, depopulate: true });
+    }
+    return { ...doc };
+  }
+
+  /**
+   * Build a before/after diff holding only the fields that changed
+   */
+  diff(before, after) {
+    const beforePlain = this.toPlain(before);
+    const afterPlain = this.toPlain(after);
+
+    const keys = new Set([
+      ...Object.keys(beforePlain || {}),
+      ...Object.keys(afterPlain || {}),
+    ]);
+
+    const changes = {
+      before: beforePlain ? {} : null,
+      after: afterPlain ? {} : null,
+    };
+
+    for (const key of keys) {
+      if (IGNORED_FIELDS.includes(key)) continue;
+
+      const beforeValue = beforePlain ? beforePlain[key] : undefined;
+      const afterValue = afterPlain ? afterPlain[key] : undefined;
+
+      if (JSON.stringify(beforeValue) === JSON.stringify(afterValue)) continue;
+
+      const redacted = REDACTED_FIELDS.includes(key);
+      if (changes.before && beforeValue !== undefined) {
+        changes.before[key] = redacted ? '[REDACTED]' : beforeValue;
+      }
+      if (changes.after && afterValue !== undefined) {
+        changes.after[key] = redacted ? '[REDACTED]' : afterValue;
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Record an admin mutation. Never throws: a failed audit write is logged
+   * but must not fail the request that made the change.
+   */
+  async record(req, { action, targetModel, targetId = null, before = null, after = null }) {
+    try {
+      await AuditLog.create({
+        actor: req.user ? req.user._id : null,
+        actorUsername: req.user ? req.user.username : null,
+        apiToken: req.apiToken ? req.apiToken._id : null,
+        action,
+        targetModel,
+        targetId,
+        changes: this.diff(before, after),
+        ipAddress: req.ip || null,
+        userAgent: req.get('User-Agent') || null,
+      });
+    } catch (error) {
+      logger.error(`Error writing audit log for ${action}:`, error);
+    }
+  }
+}
+
+module.exports = new AuditService();
@@ -0,0 +1,346 @@
+const BlogPost = require('../models/BlogPost');
+const FeedSource = require('../models/FeedSource');
+const SyncRun = require('../models/SyncRun');
+const providers = require('./providers');
+const newsletterService = require('./newsletterService');
+const tagService = require('./tagService');
+const relatedPostsService = require('./relatedPostsService');
+const logger = require('../utils/logger');
+
+class BlogSyncService {
+  constructor() {
+    this.syncInProgress = false;
+  }
+
+  /**
+   * Sources to sync: environment sources plus enabled FeedSource documents
+   */
+  async getSources() {
+    const feedSources = await FeedSource.getEnabled();
+
+    return [
+      ...providers.getEnvSources(),
+      ...feedSources.map(feedSource => ({
+        key: `db:${feedSource._id}`,
+        name: feedSource.name,
+        provider: feedSource.provider,
+        url: feedSource.url,
+        username: feedSource.username,
+        host: feedSource.host,
+        author: feedSource.author,
+        document: feedSource,
+      })),
+    ];
+  }
+
+  /**
+   * Sync articles from every configured source, recording the run in SyncRun
+   */
+  async syncArticles({ trigger = 'manual', triggeredBy = null } = {}) {
+    if (this.syncInProgress) {
+      logger.warn('Sync already in progress, skipping');
+      return { success: false, message: 'Sync already in progress' };
+    }
+
+    this.syncInProgress = true;
+    const totals = {
+      totalProcessed: 0,
+      createdCount: 0,
+      updatedCount: 0,
+      duplicateCount: 0,
+      errorCount: 0,
+    };
+    const articleErrors = [];
+    const sourceResults = [];
+    const createdPostIds = [];
+    let syncRun = null;
+
+    try {
+      syncRun = await SyncRun.create({ trigger, triggeredBy });
+
+      const sources = await this.getSources();
+
+      // Pick up tag aliases changed since the last run
+      await tagService.reloadAliases();
+
+      if (sources.length === 0) {
+        throw new Error('No feed sources configured');
+      }
+
+      logger.info(`Starting blog sync (${trigger}) from ${sources.length} source(s)`);
+
+      for (const source of sources) {
+        const result = await this.syncSource(source, articleErrors, createdPostIds);
+        sourceResults.push(result);
+
+        Object.keys(totals).forEach(field => {
+          totals[field] += result[field];
+        });
+      }
+
+      // A run only fails outright when no source could be fetched at all
+      if (sourceResults.every(result => result.error)) {
+        throw new Error(sourceResults.map(result => `${result.name}: ${result.error}`).join('; '));
+      }
+
+      const syncedCount = totals.createdCount + totals.updatedCount;
+      logger.info(`Sync completed: ${totals.createdCount} created, ${totals.updatedCount} updated, ${totals.duplicateCount} cross-posts, ${totals.errorCount} errors`);
+
+      await this.finishSyncRun(syncRun, {
+        status: 'success',
+        ...totals,
+        sourceResults,
+        articleErrors,
+      });
+
+      await this.queueNewsletterDigest(createdPostIds, syncRun);
+
+      if (syncedCount > 0) {
+        relatedPostsService.recomputeInBackground();
+      }
+
+      return {
+        success: true,
+        syncRunId: syncRun._id,
+        syncedCount,
+        ...totals,
+        sources: sourceResults,
+      };
+    } catch (error) {
+      logger.error('Error during blog sync:', error);
+
+      await this.finishSyncRun(syncRun, {
+        status: 'failed',
+        ...totals,
+        sourceResults,
+        articleErrors,
+        error: error.message,
+      });
+
+      return {
+        success: false,
+        syncRunId: syncRun ? syncRun._id : null,
+        error: error.message,
+        syncedCount: totals.createdCount + totals.updatedCount,
+        ...totals,
+        sources: sourceResults,
+      };
+    } finally {
+      this.syncInProgress = false;
+    }
+  }
+
+  /**
+   * Fetch and store the articles of one source. Never throws, failures end up in the result.
+   */
+  async syncSource(source, articleErrors, createdPostIds = []) {
+    const result = {
+      key: source.key,
+      name: source.name,
+      provider: source.provider,
+      totalProcessed: 0,
+      createdCount: 0,
+      updatedCount: 0,
+      duplicateCount: 0,
+      errorCount: 0,
+      error: null,
+    };
+
+    const configError = providers.validateSourceConfig(source);
+    if (configError) {
+      result.error = configError;
+      await this.recordSourceOutcome(source, result);
+      return result;
+    }
+
+    const provider = providers.getProvider(source.provider);
+    let items;
+
+    try {
+      items = await provider.fetchItems(source);
+      logger.info(`Fetched ${items.length} articles from ${source.name}`);
+    } catch (error) {
+      logger.error(`Error fetching articles from ${source.name}:`, error);
+      result.error = `Failed to fetch articles: ${error.message}`;
+      await this.recordSourceOutcome(source, result);
+      return result;
+    }
+
+    result.totalProcessed = items.length;
+
+    for (const item of items) {
+      let articleData = null;
+
+      try {
+        articleData = provider.parseItem(item, source);
+        articleData.tags = await tagService.canonicalize(articleData.tags);
+
+        if (!articleData.sourceId) {
+          logger.warn(`Skipping article without ID from ${source.name}:`, articleData.title);
+          continue;
+        }
+
+        if (articleData.sanitizerRemovals.length > 0) {
+          const types = [...new Set(articleData.sanitizerRemovals.map(removal => removal.type))];
+          logger.info(`Sanitized ${articleData.sanitizerRemovals.length} item(s) (${types.join(', ')}) from: ${articleData.title}`);
+          articleData.sanitizerRemovals = articleData.sanitizerRemovals.slice(0, 50);
+        }
+
+        const outcome = await this.saveArticle(articleData, createdPostIds);
+        if (outcome) {
+          result[`${outcome}Count`]++;
+        }
+      } catch (error) {
+        logger.error(`Error syncing article: ${item.title}`, error);
+        result.errorCount++;
+
+        articleErrors.push({
+          title: item.title,
+          source: source.provider,
+          sourceId: articleData ? articleData.sourceId : undefined,
+          message: error.message,
+        });
+
+        // Try to mark as failed if we have the ID
+        if (articleData && articleData.sourceId) {
+          try {
+            await BlogPost.findOneAndUpdate(
+              { source: articleData.source, sourceId: articleData.sourceId },
+              { syncStatus: 'failed', lastSyncedAt: new Date() },
+              { upsert: false }
+            );
+          } catch (markError) {
+            logger.error('Error marking article as failed:', markError);
+          }
+        }
+      }
+    }
+
+    await this.recordSourceOutcome(source, result);
+    return result;
+  }
+
+  /**
+   * Create, update or link one article. Returns 'created', 'updated', 'duplicate' or null (unchanged).
+   * IDs of created posts are added to createdPostIds.
+   */
+  async saveArticle(articleData, createdPostIds = []) {
+    const { source, sourceId, sourceUrl } = articleData;
+    const syncFields = { lastSyncedAt: new Date(), syncStatus: 'synced' };
+
+    const existingArticle = await BlogPost.findBySource(source, sourceId);
+
+    if (existingArticle) {
+      // Already linked as a cross-post of another platform's copy
+      if (existingArticle.source !== source) {
+        return null;
+      }
+
+      // Update existing article if it's newer, failed last time or is stale
+      const existingDate = new Date(existingArticle.publishedAt);
+      const newDate = new Date(articleData.publishedAt);
+
+      if (newDate > existingDate ||
+          existingArticle.syncStatus === 'failed' ||
+          !existingArticle.sourceId ||
+          (Date.now() - existingArticle.lastSyncedAt) > 24 * 60 * 60 * 1000) { // 24 hours
+
+        // Only synced fields are written, so views, likes and featured status are kept
+        await BlogPost.findByIdAndUpdate(existingArticle._id, { ...articleData, ...syncFields });
+
+        logger.info(`Updated article: ${articleData.title}`);
+        return 'updated';
+      }
+
+      return null;
+    }
+
+    // The same article may already have been imported from another platform
+    const crossPost = await BlogPost.findCrossPost(articleData);
+
+    if (crossPost) {
+      await BlogPost.findByIdAndUpdate(crossPost._id, {
+        $push: { alternateSources: { source, sourceId, sourceUrl } },
+      });
+
+      logger.info(`Linked cross-post from ${source}: ${articleData.title}`);
+      return 'duplicate';
+    }
+
+    // Create new article
+    const post = await BlogPost.create({ ...articleData, ...syncFields });
+    createdPostIds.push(post._id);
+    logger.info(`Created new article: ${articleData.title}`);
+    return 'created';
+  }
+
+  /**
+   * Queue the subscriber digest for posts created by a run (never throws, the sync result matters more)
+   */
+  async queueNewsletterDigest(createdPostIds, syncRun) {
+    try {
+      await newsletterService.queueSyncDigest(createdPostIds, syncRun._id);
+    } catch (error) {
+      logger.error('Error queueing newsletter digest:', error);
+    }
+  }
+
+  /**
+   * Remember the last sync outcome on database-configured sources
+   */
+  async recordSourceOutcome(source, result) {
+    if (!source.document) return;
+
+    try {
+      source.document.lastSyncedAt = new Date();
+      source.document.lastError = result.error;
+      await source.document.save();
+    } catch (error) {
+      logger.error('Error updating feed source:', error);
+    }
+  }
+
+  /**
+   * Store the outcome of a sync run (never throws, the sync result matters more)
+   */
+  async finishSyncRun(syncRun, result) {
+    if (!syncRun) return;
+
+    try {
+      Object.assign(syncRun, result, { finishedAt: new Date() });
+      await syncRun.save();
+    } catch (error) {
+      logger.error('Error saving sync run:', error);
+    }
+  }
+
+  /**
+   * Get sync status with recent run history
+   */
+  async getSyncStatus({ historyLimit = 10 } = {}) {
+    const [lastRun, history, sources] = await Promise.all([
+      SyncRun.getLastFinished(),
+      SyncRun.getRecent(historyLimit),
+      this.getSources(),
+    ]);
+
+    return {
+      inProgress: this.syncInProgress,
+      lastSync: lastRun ? lastRun.finishedAt : null,
+      lastSyncStatus: lastRun ? lastRun.status : null,
+      lastRun,
+      history,
+      sources: sources.map(({ key, name, provider }) => ({ key, name, provider })),
+    };
+  }
+
+  /**
+   * Force sync (ignores in-progress check)
+   */
+  async forcSync() {
+    this.syncInProgress = false;
+    return await this.syncArticles();
+  }
+}
+
+module.exports = new BlogSyncService();
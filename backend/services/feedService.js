@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const BlogPost = require('../models/BlogPost');
+const { escapeXml } = require('../utils/xml');
+
+const FEED_FORMATS = {
+  rss: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8',
+  json: 'application/feed+json; charset=utf-8',
+};
+
+class FeedService {
+  constructor() {
+    this.siteUrl = (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '');
+    this.title = process.env.BLOG_FEED_TITLE || 'Mukesh Rawat - Blog';
+    this.description = process.env.BLOG_FEED_DESCRIPTION ||
+      'Thoughts, tutorials, and insights about web development, technology, and design.';
+    this.limit = parseInt(process.env.BLOG_FEED_LIMIT) || 20;
+    // Full post bodies are opt-in, summaries are published by default
+    this.fullContent = process.env.BLOG_FEED_FULL_CONTENT === 'true';
+  }
+
+  /**
+   * Content type for a feed format
+   */
+  getContentType(format) {
+    return FEED_FORMATS[format] || null;
+  }
+
+  /**
+   * Public URL of a post on the portfolio
+   */
+  getPostUrl(post) {
+    return `${this.siteUrl}/blog/${post.slug}`;
+  }
+
+  /**
+   * Canonical URL of a feed, also used as its Atom id so it never depends on the requesting host
+   */
+  getFeedUrl({ format, tag = null }) {
+    const query = tag ? `?tag=${encodeURIComponent(tag)}` : '';
+    return `${this.siteUrl}/api/blog/feed.${format}${query}`;
+  }
+
+  /**
+   * Cheap cache validators for a feed, computed without loading post bodies
+   */
+  async getValidators({ format, tag = null }) {
+    const posts = await BlogPost.getPublished({ limit: this.limit, tag })
+      .select('_id updatedAt');
+
+    const lastModified = posts.reduce(
+      (latest, post) => (post.updatedAt > latest ? post.updatedAt : latest),
+      new Date(0)
+    );
+
+    const hash = crypto.createHash('sha1')
+      .update([format, tag || '', this.fullContent, ...posts.map(post => `${post._id}:${post.updatedAt.getTime()}`)].join('|'))
+      .digest('hex');
+
+    return {
+      etag: `W/"${hash}"`,
+      lastModified,
+    };
+  }
+
+  /**
+   * Build a feed document in the requested format
+   */
+  async buildFeed({ format, tag = null }) {
+    const posts = await BlogPost.getPublished({ limit: this.limit, tag });
+
+    const feed = {
+      title: tag ? `${this.title} - ${tag}` : this.title,
+      description: this.description,
+      homeUrl: `${this.siteUrl}/blog`,
+      selfUrl: this.getFeedUrl({ format, tag }),
+      updatedAt: posts.reduce(
+        (latest, post) => (post.updatedAt > latest ? post.updatedAt : latest),
+        new Date(0)
+      ),
+      posts,
+    };
+
+    if (format === 'atom') return this.buildAtom(feed);
+    if (format === 'json') return JSON.stringify(this.buildJsonFeed(feed));
+    return this.buildRss(feed);
+  }
+
+  /**
+   * RSS 2.0
+   */
+  buildRss(feed) {
+    const items = feed.posts.map(post => {
+      const url = this.getPostUrl(post);
+
+      return [
+        '    <item>',
+        `      <title>${escapeXml(post.title)}</title>`,
+        `      <link>${escapeXml(url)}</link>`,
+        `      <guid isPermaLink="true">${escapeXml(url)}</guid>`,
+        `      <pubDate>${post.publishedAt.toUTCString()}</pubDate>`,
+        `      <dc:creator>${escapeXml(post.author)}</dc:creator>`,
+        `      <description>${escapeXml(post.description)}</description>`,
+        ...(this.fullContent ? [`      <content:encoded>${escapeXml(post.content)}</content:encoded>`] : []),
+        ...post.tags.map(tag => `      <category>${escapeXml(tag)}</category>`),
+        '    </item>',
+      ].join('\n');
+    });
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+      '  <channel>',
+      `    <title>${escapeXml(feed.title)}</title>`,
+      `    <link>${escapeXml(feed.homeUrl)}</link>`,
+      `    <description>${escapeXml(feed.description)}</description>`,
+      '    <language>en</language>',
+      `    <lastBuildDate>${feed.updatedAt.toUTCString()}</lastBuildDate>`,
+      `    <atom:link href="${escapeXml(feed.selfUrl)}" rel="self" type="application/rss+xml"/>`,
+      ...items,
+      '  </channel>',
+      '</rss>',
+      '',
+    ].join('\n');
+  }
+
+  /**
+   * Atom 1.0
+   */
+  buildAtom(feed) {
+    const entries = feed.posts.map(post => {
+      const url = this.getPostUrl(post);
+
+      return [
+        '  <entry>',
+        `    <id>${escapeXml(url)}</id>`,
+        `    <title>${escapeXml(post.title)}</title>`,
+        `    <link rel="alternate" type="text/html" href="${escapeXml(url)}"/>`,
+        `    <published>${post.publishedAt.toISOString()}</published>`,
+        `    <updated>${post.updatedAt.toISOString()}</updated>`,
+        `    <author><name>${escapeXml(post.author)}</name></author>`,
+        `    <summary>${escapeXml(post.description)}</summary>`,
+        ...(this.fullContent ? [`    <content type="html">${escapeXml(post.content)}</content>`] : []),
+        ...post.tags.map(tag => `    <category term="${escapeXml(tag)}"/>`),
+        '  </entry>',
+      ].join('\n');
+    });
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<feed xmlns="http://www.w3.org/2005/Atom">',
+      `  <id>${escapeXml(feed.selfUrl)}</id>`,
+      `  <title>${escapeXml(feed.title)}</title>`,
+      `  <subtitle>${escapeXml(feed.description)}</subtitle>`,
+      `  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.selfUrl)}"/>`,
+      `  <link rel="alternate" type="text/html" href="${escapeXml(feed.homeUrl)}"/>`,
+      `  <updated>${feed.updatedAt.toISOString()}</updated>`,
+      ...entries,
+      '</feed>',
+      '',
+    ].join('\n');
+  }
+
+  /**
+   * JSON Feed 1.1 (https://www.jsonfeed.org/version/1.1/)
+   */
+  buildJsonFeed(feed) {
+    return {
+      version: 'https://jsonfeed.org/version/1.1',
+      title: feed.title,
+      home_page_url: feed.homeUrl,
+      feed_url: feed.selfUrl,
+      description: feed.description,
+      language: 'en',
+      items: feed.posts.map(post => ({
+        id: this.getPostUrl(post),
+        url: this.getPostUrl(post),
+        title: post.title,
+        summary: post.description,
+        ...(this.fullContent
+          ? { content_html: post.content }
+          : { content_text: post.excerpt || post.description }),
+        image: post.imageUrl || undefined,
+        date_published: post.publishedAt.toISOString(),
+        date_modified: post.updatedAt.toISOString(),
+        authors: [{ name: post.author }],
+        tags: post.tags,
+      })),
+    };
+  }
+}
+
+module.exports = new FeedService();
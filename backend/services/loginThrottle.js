@@ -0,0 +1,185 @@
+const SecurityEvent = require('../models/SecurityEvent');
+const logger = require('../utils/logger');
+
+// Distinct usernames from one IP, or IPs against one username, before it is flagged
+const SPRAY_THRESHOLD = 5;
+// Failures from one IP before it is flagged as brute force
+const BRUTE_FORCE_THRESHOLD = 20;
+
+class LoginThrottle {
+  constructor() {
+    this.windowMs = parseInt(process.env.LOGIN_THROTTLE_WINDOW_MS) || 15 * 60 * 1000;
+    this.baseDelayMs = 1000;
+
+    // Per key type: failures allowed before delays start, and the longest delay.
+    // The username limit is deliberately low so nobody can lock the owner out for long,
+    // and it only applies to IPs that have failed themselves (see getRetryAfter).
+    this.limits = {
+      pair: { freeAttempts: 3, maxDelayMs: 15 * 60 * 1000 },
+      ip: { freeAttempts: 5, maxDelayMs: 15 * 60 * 1000 },
+      user: { freeAttempts: 10, maxDelayMs: 60 * 1000 },
+    };
+
+    this.buckets = new Map();
+    this.flagged = new Map();
+
+    // Drop stale entries so spraying many usernames cannot grow memory forever
+    this.pruneTimer = setInterval(() => this.prune(), this.windowMs);
+    this.pruneTimer.unref();
+  }
+
+  /**
+   * Bucket keys for an attempt
+   */
+  getKeys(ip, username) {
+    const normalized = String(username || '').toLowerCase();
+    return {
+      pair: `pair:${ip}|${normalized}`,
+      ip: `ip:${ip}`,
+      user: `user:${normalized}`,
+    };
+  }
+
+  /**
+   * Get a bucket if it is still inside the window
+   */
+  getBucket(key) {
+    const bucket = this.buckets.get(key);
+    if (bucket && Date.now() - bucket.lastFailureAt > this.windowMs) {
+      this.buckets.delete(key);
+      return null;
+    }
+    return bucket || null;
+  }
+
+  /**
+   * Delay that applies after `failures` failures: doubles with every failure past the free ones
+   */
+  computeDelay(failures, { freeAttempts, maxDelayMs }) {
+    if (failures < freeAttempts) return 0;
+    return Math.min(this.baseDelayMs * 2 ** (failures - freeAttempts), maxDelayMs);
+  }
+
+  /**
+   * Milliseconds the client must wait before trying again (0 if allowed now)
+   */
+  getRetryAfter(ip, username) {
+    const keys = this.getKeys(ip, username);
+    const ipHasFailed = !!this.getBucket(keys.ip);
+    let retryAfter = 0;
+
+    for (const [type, key] of Object.entries(keys)) {
+      // Failures against a username from other IPs must not lock out a clean IP,
+      // otherwise anyone rotating IPs could keep the owner out for good
+      if (type === 'user' && !ipHasFailed) continue;
+
+      const bucket = this.getBucket(key);
+      if (!bucket) continue;
+
+      const delay = this.computeDelay(bucket.failures, this.limits[type]);
+      retryAfter = Math.max(retryAfter, bucket.lastFailureAt + delay - Date.now());
+    }
+
+    return Math.max(0, retryAfter);
+  }
+
+  /**
+   * Record a failed attempt and flag suspicious patterns
+   */
+  async recordFailure(ip, username) {
+    const keys = this.getKeys(ip, username);
+    const now = Date.now();
+
+    for (const key of Object.values(keys)) {
+      const bucket = this.getBucket(key) || { failures: 0, related: new Set() };
+      bucket.failures += 1;
+      bucket.lastFailureAt = now;
+      this.buckets.set(key, bucket);
+    }
+
+    // IP buckets remember usernames tried, username buckets remember source IPs
+    const ipBucket = this.buckets.get(keys.ip);
+    const userBucket = this.buckets.get(keys.user);
+    ipBucket.related.add(String(username || '').toLowerCase());
+    userBucket.related.add(ip);
+
+    if (ipBucket.related.size >= SPRAY_THRESHOLD) {
+      await this.flag('credential_spray', keys.ip, {
+        ipAddress: ip,
+        details: { usernames: [...ipBucket.related], failures: ipBucket.failures },
+      });
+    }
+
+    if (userBucket.related.size >= SPRAY_THRESHOLD) {
+      await this.flag('distributed_attack', keys.user, {
+        username,
+        details: { ipAddresses: [...userBucket.related], failures: userBucket.failures },
+      });
+    }
+
+    if (ipBucket.failures >= BRUTE_FORCE_THRESHOLD) {
+      await this.flag('brute_force', keys.ip, {
+        ipAddress: ip,
+        details: { failures: ipBucket.failures },
+      });
+    }
+  }
+
+  /**
+   * Record a successful login: the owner proved they know the password
+   */
+  recordSuccess(ip, username) {
+    const keys = this.getKeys(ip, username);
+    this.buckets.delete(keys.pair);
+    this.buckets.delete(keys.user);
+  }
+
+  /**
+   * Clear every delay for a username (used when an admin unlocks an account)
+   */
+  reset(username) {
+    const { user } = this.getKeys(null, username);
+    const pairSuffix = `|${String(username || '').toLowerCase()}`;
+
+    this.buckets.delete(user);
+    for (const key of this.buckets.keys()) {
+      if (key.startsWith('pair:') && key.endsWith(pairSuffix)) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Log and persist a suspicious pattern, at most once per key and window
+   */
+  async flag(type, key, { ipAddress = null, username = null, details = {} }) {
+    const flagKey = `${type}:${key}`;
+    const flaggedAt = this.flagged.get(flagKey);
+    if (flaggedAt && Date.now() - flaggedAt < this.windowMs) return;
+
+    this.flagged.set(flagKey, Date.now());
+    logger.warn(`Suspicious login activity (${type})`, { ipAddress, username, ...details });
+
+    try {
+      await SecurityEvent.create({ type, ipAddress, username, details });
+    } catch (error) {
+      logger.error('Error recording security event:', error);
+    }
+  }
+
+  /**
+   * Remove buckets and flags older than the window
+   */
+  prune() {
+    const cutoff = Date.now() - this.windowMs;
+
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.lastFailureAt < cutoff) this.buckets.delete(key);
+    }
+    for (const [key, flaggedAt] of this.flagged) {
+      if (flaggedAt < cutoff) this.flagged.delete(key);
+    }
+  }
+}
+
+module.exports = new LoginThrottle();
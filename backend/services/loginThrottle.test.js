@@ -0,0 +1,43 @@
+const loginThrottle = require('./loginThrottle');
+
+afterEach(() => {
+  loginThrottle.buckets.clear();
+  loginThrottle.flagged.clear();
+});
+
+const failFromIps = async (username, count, prefix = '10.0.0.') => {
+  for (let i = 1; i <= count; i++) {
+    await loginThrottle.recordFailure(`${prefix}${i}`, username);
+  }
+};
+
+describe('loginThrottle username bucket', () => {
+  beforeEach(() => {
+    // Flagging writes SecurityEvents, which is not what these tests are about
+    jest.spyOn(loginThrottle, 'flag').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('does not delay a clean IP however many other IPs failed against the username', async () => {
+    await failFromIps('admin', 30);
+
+    expect(loginThrottle.getRetryAfter('192.168.1.1', 'admin')).toBe(0);
+  });
+
+  it('delays an IP that failed itself once the username is under attack', async () => {
+    await failFromIps('admin', 30);
+
+    expect(loginThrottle.getRetryAfter('10.0.0.1', 'admin')).toBeGreaterThan(0);
+  });
+
+  it('still delays repeated failures from one IP', async () => {
+    for (let i = 0; i < 6; i++) {
+      await loginThrottle.recordFailure('10.0.0.1', 'admin');
+    }
+
+    expect(loginThrottle.getRetryAfter('10.0.0.1', 'admin')).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,104 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+/**
+ * Transport that writes each message to a JSON file instead of sending it
+ */
+const createFileTransport = () => {
+  const outputDir = process.env.MAIL_FILE_DIR || path.join('logs', 'mail');
+
+  return {
+    name: 'file',
+    async send(message) {
+      await fs.promises.mkdir(outputDir, { recursive: true });
+
+      const fileName = `${Date.now()}-${message.to.replace(/[^a-zA-Z0-9@._-]/g, '_')}.json`;
+      const filePath = path.join(outputDir, fileName);
+
+      await fs.promises.writeFile(filePath, JSON.stringify(message, null, 2));
+
+      return { messageId: fileName, path: filePath };
+    },
+  };
+};
+
+/**
+ * Transport that delivers over SMTP (a real server or a local stand-in such as MailHog)
+ */
+const createSmtpTransport = () => {
+  const nodemailer = require('nodemailer');
+
+  const transporter = nodemailer.createTransport({
+    host: process.env.EMAIL_HOST || 'localhost',
+    port: parseInt(process.env.EMAIL_PORT) || 1025,
+    secure: process.env.EMAIL_SECURE === 'true',
+    auth: process.env.EMAIL_USER
+      ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS }
+      : undefined,
+  });
+
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    },
+  };
+};
+
+class MailService {
+  constructor() {
+    this.transportFactories = {
+      file: createFileTransport,
+      smtp: createSmtpTransport,
+    };
+    this.transport = null;
+    this.from = process.env.MAIL_FROM || 'Portfolio <no-reply@localhost>';
+  }
+
+  /**
+   * Register an additional transport by name
+   */
+  registerTransport(name, factory) {
+    this.transportFactories[name] = factory;
+    this.transport = null;
+  }
+
+  /**
+   * Get the configured transport, creating it on first use
+   */
+  getTransport() {
+    if (!this.transport) {
+      const name = process.env.MAIL_TRANSPORT || 'file';
+      const factory = this.transportFactories[name];
+
+      if (!factory) {
+        throw new Error(`Unknown mail transport: ${name}`);
+      }
+
+      this.transport = factory();
+    }
+
+    return this.transport;
+  }
+
+  /**
+   * Send an email through the configured transport
+   */
+  async sendMail({ to, subject, text, html }) {
+    const transport = this.getTransport();
+    const message = { from: this.from, to, subject, text, html };
+
+    try {
+      const result = await transport.send(message);
+      logger.info(`Email "${subject}" sent to ${to} via ${transport.name} transport`);
+      return result;
+    } catch (error) {
+      logger.error(`Error sending email "${subject}" to ${to}:`, error);
+      throw new Error(`Failed to send email: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new MailService();
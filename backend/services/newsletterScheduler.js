@@ -0,0 +1,62 @@
+const newsletterService = require('./newsletterService');
+const logger = require('../utils/logger');
+
+// How often to check whether the weekly digest is due
+const CHECK_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+class NewsletterScheduler {
+  constructor() {
+    this.timer = null;
+  }
+
+  /**
+   * Resume digests left queued or half-sent by a restart and start the weekly digest checks
+   * (NEWSLETTER_WEEKLY_DIGEST=false disables the weekly digest)
+   */
+  start() {
+    this.stop();
+    newsletterService.resumeQueueInBackground();
+
+    if (process.env.NEWSLETTER_WEEKLY_DIGEST === 'false') {
+      logger.info('Weekly newsletter digest disabled (NEWSLETTER_WEEKLY_DIGEST=false)');
+      return;
+    }
+
+    this.scheduleNext();
+    logger.info('Weekly newsletter digest enabled');
+  }
+
+  /**
+   * Stop the scheduler
+   */
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Queue the next check
+   */
+  scheduleNext() {
+    this.timer = setTimeout(() => this.run(), CHECK_INTERVAL_MS);
+  }
+
+  /**
+   * Queue the weekly digest when it is due
+   */
+  async run() {
+    try {
+      await newsletterService.queueWeeklyDigestIfDue();
+    } catch (error) {
+      logger.error('Weekly newsletter digest error:', error);
+    } finally {
+      if (this.timer) {
+        this.scheduleNext();
+      }
+    }
+  }
+}
+
+module.exports = new NewsletterScheduler();
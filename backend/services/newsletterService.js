@@ -0,0 +1,282 @@
+const BlogPost = require('../models/BlogPost');
+const Subscriber = require('../models/Subscriber');
+const NewsletterDigest = require('../models/NewsletterDigest');
+const mailService = require('./mailService');
+const feedService = require('./feedService');
+const logger = require('../utils/logger');
+const { toCsv } = require('../utils/csv');
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+const EXPORT_COLUMNS = [
+  { header: 'email', value: subscriber => subscriber.email },
+  { header: 'status', value: subscriber => subscriber.status },
+  { header: 'frequency', value: subscriber => subscriber.frequency },
+  { header: 'tags', value: subscriber => subscriber.tags.join(' ') },
+  { header: 'subscribedAt', value: subscriber => subscriber.createdAt.toISOString() },
+  { header: 'confirmedAt', value: subscriber => (subscriber.confirmedAt ? subscriber.confirmedAt.toISOString() : '') },
+  { header: 'unsubscribedAt', value: subscriber => (subscriber.unsubscribedAt ? subscriber.unsubscribedAt.toISOString() : '') },
+  { header: 'lastDigestAt', value: subscriber => (subscriber.lastDigestAt ? subscriber.lastDigestAt.toISOString() : '') },
+];
+
+class NewsletterService {
+  constructor() {
+    this.siteUrl = (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '');
+    this.processing = false;
+  }
+
+  /**
+   * Link that confirms a subscription (src/pages/Newsletter.tsx posts the token to the API)
+   */
+  getConfirmUrl(token) {
+    return `${this.siteUrl}/newsletter/confirm/${token}`;
+  }
+
+  /**
+   * Link that ends a subscription (src/pages/Newsletter.tsx posts the token to the API)
+   */
+  getUnsubscribeUrl(subscriber) {
+    return `${this.siteUrl}/newsletter/unsubscribe/${subscriber.unsubscribeToken}`;
+  }
+
+  /**
+   * Send the double opt-in email
+   */
+  async sendConfirmation(subscriber, confirmToken) {
+    const topics = subscriber.tags.length > 0 ? subscriber.tags.join(', ') : 'all posts';
+
+    await mailService.sendMail({
+      to: subscriber.email,
+      subject: 'Confirm your blog subscription',
+      text: `Someone (hopefully you) subscribed ${subscriber.email} to new posts on the blog (${topics}, ${subscriber.frequency} digest).\n\n` +
+        `Confirm your subscription here: ${this.getConfirmUrl(confirmToken)}\n\n` +
+        'If you did not subscribe, you can ignore this email and nothing will be sent.',
+    });
+  }
+
+  /**
+   * Queue a digest of posts created by a sync and start sending it in the background
+   */
+  async queueSyncDigest(postIds, syncRunId = null) {
+    if (postIds.length === 0) return null;
+
+    const digest = await NewsletterDigest.create({
+      kind: 'sync',
+      posts: postIds,
+      syncRun: syncRunId,
+    });
+
+    logger.info(`Queued newsletter digest with ${postIds.length} new post(s)`);
+    this.processQueueInBackground();
+
+    return digest;
+  }
+
+  /**
+   * Queue the weekly digest when the last one is at least a week old and there are new posts
+   */
+  async queueWeeklyDigestIfDue() {
+    const lastWeekly = await NewsletterDigest.getLastWeekly();
+    const now = Date.now();
+
+    if (lastWeekly && now - lastWeekly.createdAt < WEEK_MS) {
+      return null;
+    }
+
+    const since = lastWeekly ? lastWeekly.createdAt : new Date(now - WEEK_MS);
+    const posts = await BlogPost.find({ status: 'published', createdAt: { $gte: since } })
+      .select('_id');
+
+    if (posts.length === 0) return null;
+
+    const digest = await NewsletterDigest.create({
+      kind: 'weekly',
+      posts: posts.map(post => post._id),
+    });
+
+    logger.info(`Queued weekly newsletter digest with ${posts.length} post(s)`);
+    this.processQueueInBackground();
+
+    return digest;
+  }
+
+  /**
+   * Send queued digests without making the caller wait
+   */
+  processQueueInBackground() {
+    this.processQueue().catch(error => {
+      logger.error('Error processing newsletter queue:', error);
+    });
+  }
+
+  /**
+   * Requeue digests interrupted by a restart, then send the queue without making the caller wait
+   */
+  resumeQueueInBackground() {
+    NewsletterDigest.requeueInterrupted()
+      .then(count => {
+        if (count > 0) {
+          logger.info(`Resuming ${count} interrupted newsletter digest(s)`);
+        }
+        return this.processQueue();
+      })
+      .catch(error => {
+        logger.error('Error resuming newsletter queue:', error);
+      });
+  }
+
+  /**
+   * Send every queued digest, oldest first (only one pass runs at a time)
+   */
+  async processQueue() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      let digests = await NewsletterDigest.getQueued();
+
+      while (digests.length > 0) {
+        for (const digest of digests) {
+          await this.sendDigest(digest);
+        }
+
+        // Digests queued while sending are picked up in the same pass
+        digests = await NewsletterDigest.getQueued();
+      }
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Send one digest to the matching subscribers. Never throws, failures are recorded on the digest.
+   */
+  async sendDigest(digest) {
+    // A digest resumed after a restart keeps its start, subscribers mailed since then are skipped
+    const resumedFrom = digest.startedAt;
+
+    digest.status = 'sending';
+    digest.startedAt = resumedFrom || new Date();
+    await digest.save();
+
+    try {
+      const posts = await BlogPost.find({ _id: { $in: digest.posts }, status: 'published' })
+        .select('title slug description tags publishedAt')
+        .sort({ publishedAt: -1 });
+
+      const subscribers = await Subscriber.getConfirmed(digest.kind === 'sync' ? 'immediate' : 'weekly');
+
+      for (const subscriber of subscribers) {
+        if (resumedFrom && subscriber.lastDigestAt && subscriber.lastDigestAt >= resumedFrom) continue;
+
+        const matchingPosts = posts.filter(post => subscriber.wantsPost(post));
+        if (matchingPosts.length === 0) continue;
+
+        digest.recipientCount++;
+
+        try {
+          await mailService.sendMail({
+            to: subscriber.email,
+            ...this.buildDigestEmail(subscriber, matchingPosts, digest.kind),
+          });
+
+          await Subscriber.updateOne({ _id: subscriber._id }, { lastDigestAt: new Date() });
+          digest.sentCount++;
+        } catch (error) {
+          digest.failedCount++;
+        }
+      }
+
+      digest.status = digest.recipientCount > 0 && digest.sentCount === 0 ? 'failed' : 'sent';
+      logger.info(`Newsletter digest ${digest._id}: ${digest.sentCount} sent, ${digest.failedCount} failed`);
+    } catch (error) {
+      logger.error('Error sending newsletter digest:', error);
+      digest.status = 'failed';
+      digest.error = error.message;
+    }
+
+    digest.finishedAt = new Date();
+
+    try {
+      await digest.save();
+    } catch (error) {
+      logger.error('Error saving newsletter digest:', error);
+    }
+  }
+
+  /**
+   * Plain-text digest email
+   */
+  buildDigestEmail(subscriber, posts, kind) {
+    const heading = kind === 'weekly' ? 'New on the blog this week' : 'New on the blog';
+
+    const items = posts.map(post => [
+      `- ${post.title}`,
+      `  ${post.description}`,
+      `  ${feedService.getPostUrl(post)}`,
+    ].join('\n'));
+
+    return {
+      subject: posts.length === 1 ? `${heading}: ${posts[0].title}` : `${heading}: ${posts.length} posts`,
+      text: `${heading}\n\n${items.join('\n\n')}\n\n` +
+        `You get this email because you subscribed ${subscriber.email}.\n` +
+        `Unsubscribe: ${this.getUnsubscribeUrl(subscriber)}`,
+    };
+  }
+
+  /**
+   * Subscriber counts and recent digests for the admin dashboard
+   */
+  async getStats() {
+    const since = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+
+    const [statusBreakdown, frequencyBreakdown, topTags, newLast30Days, unsubscribedLast30Days, recentDigests] = await Promise.all([
+      Subscriber.aggregate([
+        { $group: { _id: '$status', count: { $sum: 1 } } },
+      ]),
+      Subscriber.aggregate([
+        { $match: { status: 'confirmed' } },
+        { $group: { _id: '$frequency', count: { $sum: 1 } } },
+      ]),
+      Subscriber.aggregate([
+        { $match: { status: 'confirmed' } },
+        { $unwind: '$tags' },
+        { $group: { _id: '$tags', count: { $sum: 1 } } },
+        { $sort: { count: -1 } },
+        { $limit: 10 },
+      ]),
+      Subscriber.countDocuments({ confirmedAt: { $gte: since } }),
+      Subscriber.countDocuments({ unsubscribedAt: { $gte: since } }),
+      NewsletterDigest.getRecent(10),
+    ]);
+
+    const countFor = (breakdown, key) => {
+      const entry = breakdown.find(item => item._id === key);
+      return entry ? entry.count : 0;
+    };
+
+    return {
+      totalSubscribers: statusBreakdown.reduce((sum, item) => sum + item.count, 0),
+      confirmedSubscribers: countFor(statusBreakdown, 'confirmed'),
+      pendingSubscribers: countFor(statusBreakdown, 'pending'),
+      unsubscribed: countFor(statusBreakdown, 'unsubscribed'),
+      newLast30Days,
+      unsubscribedLast30Days,
+      frequencyBreakdown,
+      topTags,
+      recentDigests,
+    };
+  }
+
+  /**
+   * CSV export of subscribers (optionally of one status)
+   */
+  async exportCsv({ status = null } = {}) {
+    const query = status ? { status } : {};
+    const subscribers = await Subscriber.find(query).sort({ createdAt: 1 });
+
+    return toCsv(EXPORT_COLUMNS, subscribers);
+  }
+}
+
+module.exports = new NewsletterService();
@@ -0,0 +1,88 @@
+const logger = require('../../utils/logger');
+const { sanitizeSyncedHtml } = require('../../utils/htmlSanitizer');
+const { stripHtml, extractFirstImage, extractTags, extractCategories } = require('../../utils/content');
+
+const DEVTO_API_URL = 'https://dev.to/api';
+
+/**
+ * Dev.to (Forem) public API provider. Source config: { username }
+ */
+class DevtoProvider {
+  constructor() {
+    this.name = 'devto';
+    this.requiredFields = ['username'];
+  }
+
+  /**
+   * Call the Dev.to API
+   */
+  async request(path) {
+    const response = await fetch(`${DEVTO_API_URL}${path}`, {
+      headers: { Accept: 'application/json' },
+    });
+
+    if (!response.ok) {
+      throw new Error(`Dev.to API responded with ${response.status}`);
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Fetch the user's articles. The list endpoint has no body, so each article is loaded individually.
+   */
+  async fetchItems(source) {
+    logger.info(`Fetching articles from Dev.to for ${source.username}`);
+    const articles = await this.request(`/articles?username=${encodeURIComponent(source.username)}&per_page=30`);
+
+    if (!Array.isArray(articles)) {
+      throw new Error('Invalid Dev.to API response');
+    }
+
+    const items = [];
+    for (const article of articles) {
+      try {
+        items.push(await this.request(`/articles/${article.id}`));
+      } catch (error) {
+        // Fall back to the summary so the error is recorded against this article
+        logger.warn(`Could not load Dev.to article ${article.id}: ${error.message}`);
+        items.push(article);
+      }
+    }
+
+    return items;
+  }
+
+  /**
+   * Convert a Dev.to article into blog post fields
+   */
+  parseItem(item, source) {
+    if (!item.body_html) {
+      throw new Error('Article body is missing');
+    }
+
+    const { html: content, removed } = sanitizeSyncedHtml(item.body_html);
+    const plainTextContent = stripHtml(content);
+    const tags = Array.isArray(item.tags) ? item.tags : (item.tag_list || '').split(',');
+
+    return {
+      source: this.name,
+      sourceId: String(item.id),
+      sourceUrl: item.url,
+      canonicalUrl: item.canonical_url || item.url,
+      title: item.title?.trim() || 'Untitled',
+      description: (item.description?.trim() || plainTextContent).substring(0, 500),
+      content,
+      excerpt: plainTextContent.substring(0, 300),
+      author: item.user?.name || source.author || 'Mukesh Rawat',
+      imageUrl: item.cover_image || extractFirstImage(content),
+      publishedAt: new Date(item.published_at),
+      readingTime: item.reading_time_minutes || 1,
+      tags: extractTags(tags),
+      categories: extractCategories(tags),
+      sanitizerRemovals: removed,
+    };
+  }
+}
+
+module.exports = DevtoProvider;
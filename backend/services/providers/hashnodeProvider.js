@@ -0,0 +1,100 @@
+const logger = require('../../utils/logger');
+const { sanitizeSyncedHtml } = require('../../utils/htmlSanitizer');
+const { stripHtml, calculateReadingTime, extractFirstImage, extractTags, extractCategories } = require('../../utils/content');
+
+const HASHNODE_API_URL = 'https://gql.hashnode.com';
+
+const POSTS_QUERY = `
+  query Posts($host: String!, $first: Int!) {
+    publication(host: $host) {
+      posts(first: $first) {
+        edges {
+          node {
+            id
+            title
+            brief
+            url
+            canonicalUrl
+            publishedAt
+            readTimeInMinutes
+            coverImage { url }
+            tags { name }
+            author { name }
+            content { html }
+          }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Hashnode GraphQL API provider. Source config: { host } (e.g. blog.example.com or user.hashnode.dev)
+ */
+class HashnodeProvider {
+  constructor() {
+    this.name = 'hashnode';
+    this.requiredFields = ['host'];
+  }
+
+  /**
+   * Fetch the publication's latest posts
+   */
+  async fetchItems(source) {
+    logger.info(`Fetching articles from Hashnode publication ${source.host}`);
+
+    const response = await fetch(HASHNODE_API_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        query: POSTS_QUERY,
+        variables: { host: source.host, first: 20 },
+      }),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Hashnode API responded with ${response.status}`);
+    }
+
+    const { data, errors } = await response.json();
+
+    if (errors && errors.length > 0) {
+      throw new Error(`Hashnode API error: ${errors[0].message}`);
+    }
+
+    if (!data || !data.publication) {
+      throw new Error(`Hashnode publication not found: ${source.host}`);
+    }
+
+    return data.publication.posts.edges.map(edge => edge.node);
+  }
+
+  /**
+   * Convert a Hashnode post into blog post fields
+   */
+  parseItem(item, source) {
+    const { html: content, removed } = sanitizeSyncedHtml(item.content?.html || '');
+    const plainTextContent = stripHtml(content);
+    const tags = (item.tags || []).map(tag => tag.name);
+
+    return {
+      source: this.name,
+      sourceId: item.id,
+      sourceUrl: item.url,
+      canonicalUrl: item.canonicalUrl || item.url,
+      title: item.title?.trim() || 'Untitled',
+      description: (item.brief?.trim() || plainTextContent).substring(0, 500),
+      content,
+      excerpt: plainTextContent.substring(0, 300),
+      author: item.author?.name || source.author || 'Mukesh Rawat',
+      imageUrl: item.coverImage?.url || extractFirstImage(content),
+      publishedAt: new Date(item.publishedAt),
+      readingTime: item.readTimeInMinutes || calculateReadingTime(plainTextContent),
+      tags: extractTags(tags),
+      categories: extractCategories(tags),
+      sanitizerRemovals: removed,
+    };
+  }
+}
+
+module.exports = HashnodeProvider;
@@ -0,0 +1,95 @@
+const MediumProvider = require('./mediumProvider');
+const DevtoProvider = require('./devtoProvider');
+const HashnodeProvider = require('./hashnodeProvider');
+const RssProvider = require('./rssProvider');
+
+/**
+ * Feed provider registry. A provider exposes:
+ *   name            - value stored in BlogPost.source
+ *   requiredFields  - source config fields it needs (url, username, host)
+ *   fetchItems(source)       - resolves to raw items
+ *   parseItem(item, source)  - returns blog post fields including source, sourceId and canonicalUrl,
+ *                              with content passed through sanitizeSyncedHtml (utils/htmlSanitizer.js)
+ */
+const providers = new Map();
+
+/**
+ * Register a provider (replaces any provider with the same name)
+ */
+const registerProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+/**
+ * Get a provider by name
+ */
+const getProvider = (name) => {
+  return providers.get(name) || null;
+};
+
+/**
+ * Names of all registered providers
+ */
+const getProviderNames = () => {
+  return [...providers.keys()];
+};
+
+/**
+ * Check a source config against its provider, returns an error message or null
+ */
+const validateSourceConfig = (source) => {
+  const provider = getProvider(source.provider);
+
+  if (!provider) {
+    return `Unknown feed provider: ${source.provider}`;
+  }
+
+  const missing = provider.requiredFields.filter(field => !source[field]);
+  if (missing.length > 0) {
+    return `${source.provider} sources require: ${missing.join(', ')}`;
+  }
+
+  return null;
+};
+
+/**
+ * Sources configured through environment variables
+ */
+const getEnvSources = () => {
+  const sources = [];
+
+  if (process.env.MEDIUM_RSS_URL) {
+    sources.push({ key: 'env:medium', name: 'Medium', provider: 'medium', url: process.env.MEDIUM_RSS_URL });
+  }
+
+  if (process.env.DEVTO_USERNAME) {
+    sources.push({ key: 'env:devto', name: 'Dev.to', provider: 'devto', username: process.env.DEVTO_USERNAME });
+  }
+
+  if (process.env.HASHNODE_HOST) {
+    sources.push({ key: 'env:hashnode', name: 'Hashnode', provider: 'hashnode', host: process.env.HASHNODE_HOST });
+  }
+
+  (process.env.RSS_FEED_URLS || '')
+    .split(',')
+    .map(url => url.trim())
+    .filter(Boolean)
+    .forEach((url, index) => {
+      sources.push({ key: `env:rss:${index}`, name: url, provider: 'rss', url });
+    });
+
+  return sources;
+};
+
+registerProvider(new MediumProvider());
+registerProvider(new DevtoProvider());
+registerProvider(new HashnodeProvider());
+registerProvider(new RssProvider());
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  getProviderNames,
+  validateSourceConfig,
+  getEnvSources,
+};
@@ -0,0 +1,42 @@
+const RssProvider = require('./rssProvider');
+
+/**
+ * Medium publishes a regular RSS feed. Source config: { url } (https://medium.com/feed/@username)
+ */
+class MediumProvider extends RssProvider {
+  constructor() {
+    super();
+    this.name = 'medium';
+  }
+
+  /**
+   * Medium post ID from the GUID or URL, else the full GUID hash scoped by feed URL
+   */
+  getItemId(item, source) {
+    const guid = item.guid || item.link;
+    if (!guid) return null;
+
+    // Extract Medium post ID from URL if possible
+    const mediumIdMatch = guid.match(/\/([a-f0-9]+)$/);
+    if (mediumIdMatch) {
+      return mediumIdMatch[1];
+    }
+
+    return super.getItemId(item, source);
+  }
+
+  /**
+   * Medium posts also keep the legacy mediumId/mediumUrl fields
+   */
+  parseItem(item, source) {
+    const articleData = super.parseItem(item, source);
+
+    return {
+      ...articleData,
+      mediumId: articleData.sourceId,
+      mediumUrl: articleData.sourceUrl,
+    };
+  }
+}
+
+module.exports = MediumProvider;
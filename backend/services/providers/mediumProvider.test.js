@@ -0,0 +1,26 @@
+const crypto = require('crypto');
+const MediumProvider = require('./mediumProvider');
+
+describe('MediumProvider.getItemId', () => {
+  const provider = new MediumProvider();
+  const source = { url: 'https://medium.com/feed/@me' };
+
+  it('uses the Medium post ID at the end of the GUID', () => {
+    expect(provider.getItemId({ guid: 'https://medium.com/p/1a2b3c4d5e6f' }, source)).toBe('1a2b3c4d5e6f');
+  });
+
+  it('hashes the full GUID scoped by feed URL when there is no post ID', () => {
+    const guid = 'https://medium.com/@me/my-first-post';
+
+    expect(provider.getItemId({ guid }, source)).toBe(
+      crypto.createHash('sha256').update(`${source.url}|${guid}`).digest('hex')
+    );
+  });
+
+  it('gives posts with the same GUID prefix different IDs', () => {
+    const first = provider.getItemId({ guid: 'https://medium.com/@me/first-post' }, source);
+    const second = provider.getItemId({ guid: 'https://medium.com/@me/second-post' }, source);
+
+    expect(first).not.toEqual(second);
+  });
+});
@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+const Parser = require('rss-parser');
+const logger = require('../../utils/logger');
+const { sanitizeSyncedHtml } = require('../../utils/htmlSanitizer');
+const {
+  stripHtml,
+  calculateReadingTime,
+  extractFirstImage,
+  extractTags,
+  extractCategories,
+} = require('../../utils/content');
+
+/**
+ * Generic RSS/Atom feed provider. Source config: { url }
+ */
+class RssProvider {
+  constructor() {
+    this.name = 'rss';
+    this.requiredFields = ['url'];
+    this.parser = new Parser({
+      customFields: {
+        item: [
+          ['content:encoded', 'contentEncoded'],
+          ['dc:creator', 'creator'],
+          ['atom:updated', 'updated'],
+        ]
+      }
+    });
+  }
+
+  /**
+   * Fetch raw feed items
+   */
+  async fetchItems(source) {
+    logger.info(`Fetching articles from feed ${source.url}`);
+    const feed = await this.parser.parseURL(source.url);
+
+    if (!feed || !feed.items) {
+      throw new Error('Invalid RSS feed response');
+    }
+
+    return feed.items;
+  }
+
+  /**
+   * Stable ID for an item: a hash of the feed URL and the item's RSS guid or Atom id
+   * (falling back to the link), so items of different feeds on one host never collide
+   */
+  getItemId(item, source) {
+    const guid = item.guid || item.id || item.link;
+    if (!guid) return null;
+
+    return crypto.createHash('sha256')
+      .update(`${source.url}|${guid}`)
+      .digest('hex');
+  }
+
+  /**
+   * Convert a feed item into blog post fields
+   */
+  parseItem(item, source) {
+    const { html: content, removed } = sanitizeSyncedHtml(item.contentEncoded || item.content || item.summary || '');
+    const plainTextContent = stripHtml(content);
+
+    return {
+      source: this.name,
+      sourceId: this.getItemId(item, source),
+      sourceUrl: item.link,
+      canonicalUrl: item.link,
+      title: item.title?.trim() || 'Untitled',
+      description: (item.contentSnippet?.trim() || plainTextContent).substring(0, 500),
+      content,
+      excerpt: plainTextContent.substring(0, 300),
+      author: item.creator || item.author || source.author || 'Mukesh Rawat',
+      imageUrl: item.enclosure?.url || extractFirstImage(content),
+      publishedAt: new Date(item.isoDate || item.pubDate || item.updated),
+      readingTime: calculateReadingTime(plainTextContent),
+      tags: extractTags(item.categories || []),
+      categories: extractCategories(item.categories || []),
+      sanitizerRemovals: removed,
+    };
+  }
+}
+
+module.exports = RssProvider;
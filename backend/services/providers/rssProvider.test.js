@@ -0,0 +1,39 @@
+const RssProvider = require('./rssProvider');
+
+describe('RssProvider.getItemId', () => {
+  const provider = new RssProvider();
+  const source = { url: 'https://blog.example.com/feed.xml' };
+
+  it('gives different posts on the same host different IDs', () => {
+    const first = provider.getItemId({ guid: 'https://blog.example.com/posts/first' }, source);
+    const second = provider.getItemId({ guid: 'https://blog.example.com/posts/second' }, source);
+
+    expect(first).not.toEqual(second);
+  });
+
+  it('is stable for the same item', () => {
+    const item = { guid: 'https://blog.example.com/posts/first' };
+
+    expect(provider.getItemId(item, source)).toEqual(provider.getItemId({ ...item }, source));
+  });
+
+  it('scopes IDs to the feed', () => {
+    const item = { guid: 'post-1' };
+    const otherSource = { url: 'https://blog.example.com/other-feed.xml' };
+
+    expect(provider.getItemId(item, source)).not.toEqual(provider.getItemId(item, otherSource));
+  });
+
+  it('falls back to the Atom id and then the link', () => {
+    const byId = provider.getItemId({ id: 'tag:blog.example.com,2024:1' }, source);
+    const byLink = provider.getItemId({ link: 'https://blog.example.com/posts/first' }, source);
+
+    expect(byId).toMatch(/^[a-f0-9]{64}$/);
+    expect(byLink).toMatch(/^[a-f0-9]{64}$/);
+    expect(byId).not.toEqual(byLink);
+  });
+
+  it('returns null for items without any identifier', () => {
+    expect(provider.getItemId({ title: 'No id' }, source)).toBeNull();
+  });
+});
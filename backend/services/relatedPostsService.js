@@ -0,0 +1,116 @@
+const BlogPost = require('../models/BlogPost');
+const logger = require('../utils/logger');
+const { stripHtml } = require('../utils/content');
+const {
+  tokenize,
+  inverseDocumentFrequencies,
+  buildTermVector,
+  cosineSimilarity,
+  tagSimilarity,
+} = require('../utils/similarity');
+
+// Share of the score that comes from tags, the rest comes from title and content terms
+const TAG_WEIGHT = 0.6;
+// Title words are repeated so they count for more than body words
+const TITLE_BOOST = 3;
+// Only the start of long posts is compared, it says enough about the topic
+const MAX_CONTENT_TERMS = 2000;
+const MAX_RELATED = 5;
+const MIN_SCORE = 0.05;
+
+class RelatedPostsService {
+  constructor() {
+    this.running = false;
+    this.rerunRequested = false;
+  }
+
+  /**
+   * Score every pair of published posts and store each post's best matches
+   */
+  async recomputeAll() {
+    const posts = await BlogPost.find({ status: 'published' })
+      .select('title tags content');
+
+    const documents = posts.map(post => {
+      const titleTerms = tokenize(post.title);
+      const contentTerms = tokenize(stripHtml(post.content)).slice(0, MAX_CONTENT_TERMS);
+
+      return {
+        id: post._id,
+        tags: post.tags,
+        terms: [...Array(TITLE_BOOST).fill(titleTerms).flat(), ...contentTerms],
+      };
+    });
+
+    const tagIdf = inverseDocumentFrequencies(documents.map(doc => doc.tags));
+    const termIdf = inverseDocumentFrequencies(documents.map(doc => doc.terms));
+    documents.forEach(doc => {
+      doc.vector = buildTermVector(doc.terms, termIdf);
+    });
+
+    const related = documents.map(() => []);
+
+    for (let i = 0; i < documents.length; i++) {
+      for (let j = i + 1; j < documents.length; j++) {
+        const score = TAG_WEIGHT * tagSimilarity(documents[i].tags, documents[j].tags, tagIdf) +
+          (1 - TAG_WEIGHT) * cosineSimilarity(documents[i].vector, documents[j].vector);
+
+        if (score >= MIN_SCORE) {
+          const rounded = Math.round(score * 1000) / 1000;
+          related[i].push({ post: documents[j].id, score: rounded });
+          related[j].push({ post: documents[i].id, score: rounded });
+        }
+      }
+    }
+
+    const computedAt = new Date();
+
+    if (documents.length > 0) {
+      // timestamps: false keeps updatedAt (and with it feed and sitemap freshness) untouched
+      await BlogPost.bulkWrite(documents.map((doc, index) => ({
+        updateOne: {
+          filter: { _id: doc.id },
+          update: {
+            $set: {
+              relatedPosts: related[index]
+                .sort((a, b) => b.score - a.score)
+                .slice(0, MAX_RELATED),
+              relatedComputedAt: computedAt,
+            },
+          },
+          timestamps: false,
+        },
+      })));
+    }
+
+    logger.info(`Related posts recomputed for ${documents.length} posts`);
+    return documents.length;
+  }
+
+  /**
+   * Recompute without making the caller wait. Calls during a run trigger one more run afterwards.
+   */
+  recomputeInBackground() {
+    if (this.running) {
+      this.rerunRequested = true;
+      return;
+    }
+
+    this.running = true;
+
+    this.recomputeAll()
+      .catch(error => {
+        logger.error('Error recomputing related posts:', error);
+      })
+      .finally(() => {
+        this.running = false;
+
+        if (this.rerunRequested) {
+          this.rerunRequested = false;
+          this.recomputeInBackground();
+        }
+      });
+  }
+}
+
+module.exports = new RelatedPostsService();
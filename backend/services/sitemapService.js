@@ -0,0 +1,134 @@
+const BlogPost = require('../models/BlogPost');
+const Project = require('../models/Project');
+const { escapeXml } = require('../utils/xml');
+
+class SitemapService {
+  constructor() {
+    this.siteUrl = (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '');
+    // The sitemap protocol allows at most 50,000 URLs per file
+    this.maxUrlsPerSitemap = Math.min(parseInt(process.env.SITEMAP_MAX_URLS) || 50000, 50000);
+  }
+
+  /**
+   * Every URL in the sitemap, with lastmod from the content's updatedAt.
+   * Only pages routed by the frontend (src/App.tsx) are listed, home page sections are just fragments.
+   */
+  async getEntries() {
+    const [posts, projects] = await Promise.all([
+      BlogPost.find({ status: 'published' })
+        .sort({ publishedAt: -1 })
+        .select('slug updatedAt')
+        .lean(),
+      // Projects are shown on the home page, so they only move its lastmod
+      Project.getActive()
+        .select('updatedAt')
+        .lean(),
+    ]);
+
+    const latestUpdate = [...posts, ...projects].reduce(
+      (latest, doc) => (doc.updatedAt > latest ? doc.updatedAt : latest),
+      null
+    );
+
+    return [
+      {
+        loc: `${this.siteUrl}/`,
+        lastmod: latestUpdate,
+      },
+      ...posts.map(post => ({
+        loc: `${this.siteUrl}/blog/${post.slug}`,
+        lastmod: post.updatedAt,
+      })),
+    ];
+  }
+
+  /**
+   * Build /sitemap.xml: a plain sitemap, or a sitemap index when there are too many URLs
+   */
+  async buildSitemap() {
+    const entries = await this.getEntries();
+
+    if (entries.length <= this.maxUrlsPerSitemap) {
+      return this.buildUrlSet(entries);
+    }
+
+    const pages = [];
+    for (let i = 0; i < entries.length; i += this.maxUrlsPerSitemap) {
+      const chunk = entries.slice(i, i + this.maxUrlsPerSitemap);
+      pages.push({
+        // Served by this API, the frontend host proxies /sitemap-N.xml here (see README)
+        loc: `${this.siteUrl}/sitemap-${pages.length + 1}.xml`,
+        lastmod: chunk.reduce((latest, entry) => (entry.lastmod > latest ? entry.lastmod : latest), null),
+      });
+    }
+
+    return this.buildIndex(pages);
+  }
+
+  /**
+   * Build one page of a split sitemap, or null when the page does not exist
+   */
+  async buildSitemapPage(page) {
+    const entries = await this.getEntries();
+    const start = (page - 1) * this.maxUrlsPerSitemap;
+
+    if (page < 1 || entries.length <= this.maxUrlsPerSitemap || start >= entries.length) {
+      return null;
+    }
+
+    return this.buildUrlSet(entries.slice(start, start + this.maxUrlsPerSitemap));
+  }
+
+  /**
+   * <urlset> document
+   */
+  buildUrlSet(entries) {
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+      ...entries.map(entry => this.buildEntry('url', entry)),
+      '</urlset>',
+      '',
+    ].join('\n');
+  }
+
+  /**
+   * <sitemapindex> document
+   */
+  buildIndex(pages) {
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+      ...pages.map(page => this.buildEntry('sitemap', page)),
+      '</sitemapindex>',
+      '',
+    ].join('\n');
+  }
+
+  /**
+   * A <url> or <sitemap> element
+   */
+  buildEntry(tag, { loc, lastmod }) {
+    return [
+      `  <${tag}>`,
+      `    <loc>${escapeXml(loc)}</loc>`,
+      ...(lastmod ? [`    <lastmod>${new Date(lastmod).toISOString()}</lastmod>`] : []),
+      `  </${tag}>`,
+    ].join('\n');
+  }
+
+  /**
+   * robots.txt pointing crawlers at the sitemap
+   */
+  buildRobotsTxt() {
+    return [
+      'User-agent: *',
+      'Allow: /',
+      '',
+      `Sitemap: ${this.siteUrl}/sitemap.xml`,
+      '',
+    ].join('\n');
+  }
+}
+
+module.exports = new SitemapService();
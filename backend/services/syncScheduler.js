@@ -0,0 +1,79 @@
+const blogSyncService = require('./blogSyncService');
+const logger = require('../utils/logger');
+
+class SyncScheduler {
+  constructor() {
+    this.timer = null;
+    this.intervalMs = null;
+    this.nextRunAt = null;
+  }
+
+  /**
+   * Start running scheduled syncs every BLOG_SYNC_INTERVAL ms (0 disables)
+   */
+  start() {
+    const intervalMs = parseInt(process.env.BLOG_SYNC_INTERVAL);
+
+    if (!intervalMs || intervalMs <= 0) {
+      logger.info('Scheduled blog sync disabled (BLOG_SYNC_INTERVAL not set)');
+      return;
+    }
+
+    this.stop();
+    this.intervalMs = intervalMs;
+    this.scheduleNext();
+
+    logger.info(`Scheduled blog sync every ${Math.round(intervalMs / 60000)} minutes`);
+  }
+
+  /**
+   * Stop the scheduler
+   */
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.nextRunAt = null;
+  }
+
+  /**
+   * Queue the next run. A timeout is re-armed after each run so slow syncs never overlap.
+   */
+  scheduleNext() {
+    this.nextRunAt = new Date(Date.now() + this.intervalMs);
+    this.timer = setTimeout(() => this.run(), this.intervalMs);
+  }
+
+  /**
+   * Run one scheduled sync
+   */
+  async run() {
+    try {
+      const result = await blogSyncService.syncArticles({ trigger: 'scheduled' });
+
+      if (!result.success) {
+        logger.warn(`Scheduled blog sync did not complete: ${result.error || result.message}`);
+      }
+    } catch (error) {
+      logger.error('Scheduled blog sync error:', error);
+    } finally {
+      if (this.timer) {
+        this.scheduleNext();
+      }
+    }
+  }
+
+  /**
+   * Scheduler state for the sync status endpoint
+   */
+  getStatus() {
+    return {
+      enabled: !!this.timer,
+      intervalMs: this.intervalMs,
+      nextRunAt: this.nextRunAt,
+    };
+  }
+}
+
+module.exports = new SyncScheduler();
@@ -0,0 +1,160 @@
+const BlogPost = require('../models/BlogPost');
+const Subscriber = require('../models/Subscriber');
+const TagAlias = require('../models/TagAlias');
+const relatedPostsService = require('./relatedPostsService');
+const logger = require('../utils/logger');
+const { extractTags } = require('../utils/content');
+
+const normalizeTag = tag => String(tag || '').toLowerCase().trim();
+
+class TagService {
+  constructor() {
+    // alias => canonical tag, loaded on first use and reloaded after every change
+    this.aliases = null;
+  }
+
+  /**
+   * Get the alias map
+   */
+  async getAliases() {
+    if (!this.aliases) {
+      await this.reloadAliases();
+    }
+
+    return this.aliases;
+  }
+
+  /**
+   * Reload the alias map from the database
+   */
+  async reloadAliases() {
+    this.aliases = await TagAlias.getAliasMap();
+    return this.aliases;
+  }
+
+  /**
+   * Normalize tags and map aliases to their canonical names
+   */
+  async canonicalize(tags) {
+    return extractTags(tags, await this.getAliases());
+  }
+
+  /**
+   * Every tag of published posts with its post count, most used first
+   */
+  async getTagCounts() {
+    const tags = await BlogPost.aggregate([
+      { $match: { status: 'published' } },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+    ]);
+
+    return tags.map(tag => ({ name: tag._id, count: tag.count }));
+  }
+
+  /**
+   * Merge tags into one (a rename is a merge of a single tag). The merged tags become
+   * aliases of the target so later syncs map them too, and every post and subscriber is rewritten.
+   */
+  async mergeTags({ from, to, createdBy = null }) {
+    const aliases = await this.reloadAliases();
+
+    // Merging into an alias merges into the tag it stands for
+    const target = aliases.get(normalizeTag(to)) || normalizeTag(to);
+
+    if (!target) {
+      throw new Error('Target tag is required');
+    }
+
+    const sources = [...new Set(from.map(normalizeTag))].filter(tag => tag && tag !== target);
+
+    if (sources.length > 0) {
+      await TagAlias.bulkWrite(sources.map(alias => ({
+        updateOne: {
+          filter: { alias },
+          update: { $set: { canonical: target }, $setOnInsert: { createdBy } },
+          upsert: true,
+        },
+      })));
+
+      // Aliases of a merged tag now point at the target directly, no chains
+      await TagAlias.updateMany({ canonical: { $in: sources } }, { canonical: target });
+    }
+
+    // The target is a real tag from now on
+    await TagAlias.deleteOne({ alias: target });
+
+    const modifiedPosts = await this.rewritePosts(sources, target);
+    const modifiedSubscribers = await this.rewriteSubscribers(sources, target);
+    await this.reloadAliases();
+
+    if (modifiedPosts > 0) {
+      relatedPostsService.recomputeInBackground();
+    }
+
+    logger.info(`Merged tags [${sources.join(', ')}] into "${target}" (${modifiedPosts} posts, ${modifiedSubscribers} subscribers updated)`);
+
+    return { from: sources, to: target, modifiedPosts, modifiedSubscribers };
+  }
+
+  /**
+   * Replace tags (and the categories derived from them) on every post carrying them
+   */
+  async rewritePosts(sources, target) {
+    if (sources.length === 0) return 0;
+
+    const posts = await BlogPost.find({
+      $or: [{ tags: { $in: sources } }, { categories: { $in: sources } }],
+    }).select('tags categories');
+
+    const replace = values => [...new Set(values.map(value => (sources.includes(value) ? target : value)))];
+
+    if (posts.length === 0) return 0;
+
+    // Direct updates, so slugs and rendered content are left alone
+    const result = await BlogPost.bulkWrite(posts.map(post => ({
+      updateOne: {
+        filter: { _id: post._id },
+        update: { $set: { tags: replace(post.tags), categories: replace(post.categories) } },
+      },
+    })));
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * Replace tags in the topic filters of every subscriber following them
+   */
+  async rewriteSubscribers(sources, target) {
+    if (sources.length === 0) return 0;
+
+    const subscribers = await Subscriber.find({ tags: { $in: sources } }).select('tags');
+
+    if (subscribers.length === 0) return 0;
+
+    const result = await Subscriber.bulkWrite(subscribers.map(subscriber => ({
+      updateOne: {
+        filter: { _id: subscriber._id },
+        update: { $set: { tags: [...new Set(subscriber.tags.map(tag => (sources.includes(tag) ? target : tag)))] } },
+      },
+    })));
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * Remove an alias. Posts keep their current tags.
+   */
+  async removeAlias(id) {
+    const alias = await TagAlias.findByIdAndDelete(id);
+
+    if (alias) {
+      await this.reloadAliases();
+    }
+
+    return alias;
+  }
+}
+
+module.exports = new TagService();
@@ -0,0 +1,38 @@
+const Subscriber = require('../models/Subscriber');
+const tagService = require('./tagService');
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('tagService.rewriteSubscribers', () => {
+  it('moves subscribers of merged tags to the target tag', async () => {
+    const find = jest.spyOn(Subscriber, 'find').mockReturnValue({
+      select: async () => [
+        { _id: 'a', tags: ['js', 'css'] },
+        { _id: 'b', tags: ['js', 'javascript'] },
+      ],
+    });
+    const bulkWrite = jest.spyOn(Subscriber, 'bulkWrite').mockResolvedValue({ modifiedCount: 2 });
+
+    const modified = await tagService.rewriteSubscribers(['js'], 'javascript');
+
+    expect(modified).toBe(2);
+    expect(find).toHaveBeenCalledWith({ tags: { $in: ['js'] } });
+    expect(bulkWrite).toHaveBeenCalledWith([
+      { updateOne: { filter: { _id: 'a' }, update: { $set: { tags: ['javascript', 'css'] } } } },
+      { updateOne: { filter: { _id: 'b' }, update: { $set: { tags: ['javascript'] } } } },
+    ]);
+  });
+
+  it('does nothing without merged tags or matching subscribers', async () => {
+    const find = jest.spyOn(Subscriber, 'find').mockReturnValue({ select: async () => [] });
+    const bulkWrite = jest.spyOn(Subscriber, 'bulkWrite');
+
+    await expect(tagService.rewriteSubscribers([], 'javascript')).resolves.toBe(0);
+    expect(find).not.toHaveBeenCalled();
+
+    await expect(tagService.rewriteSubscribers(['js'], 'javascript')).resolves.toBe(0);
+    expect(bulkWrite).not.toHaveBeenCalled();
+  });
+});
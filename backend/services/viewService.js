@@ -0,0 +1,40 @@
+const PostView = require('../models/PostView');
+const PostViewDaily = require('../models/PostViewDaily');
+const logger = require('../utils/logger');
+const { getVisitorHash } = require('../utils/visitor');
+const { isBot } = require('../utils/userAgent');
+
+class ViewService {
+  constructor() {
+    // A visitor's repeat views of a post within this window count once
+    this.windowMs = (parseInt(process.env.VIEW_DEDUP_WINDOW_MINUTES) || 30) * 60 * 1000;
+  }
+
+  /**
+   * Count a view of a post unless it comes from a crawler, a signed-in
+   * user previewing the site, or a visitor already counted in the window.
+   * Returns whether the view was counted (never throws).
+   */
+  async recordView(req, post) {
+    try {
+      if (req.user || isBot(req.get('user-agent'))) {
+        return false;
+      }
+
+      const counted = await PostView.claim(post._id, getVisitorHash(req), this.windowMs);
+      if (!counted) return false;
+
+      await Promise.all([
+        post.incrementViews(),
+        PostViewDaily.increment(post._id),
+      ]);
+
+      return true;
+    } catch (error) {
+      logger.error('Error recording blog post view:', error);
+      return false;
+    }
+  }
+}
+
+module.exports = new ViewService();
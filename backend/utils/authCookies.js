@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const { generateToken } = require('./tokens');
+
+const ACCESS_COOKIE = 'access_token';
+const REFRESH_COOKIE = 'refresh_token';
+const CSRF_COOKIE = 'csrf_token';
+const CSRF_HEADER = 'x-csrf-token';
+
+// Methods that change state and therefore need a CSRF token in cookie mode
+const UNSAFE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * Whether login should issue httpOnly cookies (AUTH_COOKIES=true)
+ */
+const isCookieAuthEnabled = () => process.env.AUTH_COOKIES === 'true';
+
+/**
+ * Shared cookie options
+ */
+const getCookieOptions = () => ({
+  secure: process.env.AUTH_COOKIE_SECURE
+    ? process.env.AUTH_COOKIE_SECURE === 'true'
+    : process.env.NODE_ENV === 'production',
+  sameSite: process.env.AUTH_COOKIE_SAMESITE || 'strict',
+  domain: process.env.AUTH_COOKIE_DOMAIN || undefined,
+});
+
+/**
+ * Set the access, refresh and CSRF cookies; returns the CSRF token
+ */
+const setAuthCookies = (res, { token, refreshToken, refreshExpiresAt }) => {
+  const options = getCookieOptions();
+  const csrfToken = generateToken();
+
+  res.cookie(ACCESS_COOKIE, token, {
+    ...options,
+    httpOnly: true,
+    path: '/',
+    expires: refreshExpiresAt,
+  });
+
+  // The refresh token is only ever needed by the auth routes
+  res.cookie(REFRESH_COOKIE, refreshToken, {
+    ...options,
+    httpOnly: true,
+    path: '/api/auth',
+    expires: refreshExpiresAt,
+  });
+
+  // Readable by the frontend so it can echo it back in the CSRF header
+  res.cookie(CSRF_COOKIE, csrfToken, {
+    ...options,
+    httpOnly: false,
+    path: '/',
+    expires: refreshExpiresAt,
+  });
+
+  return csrfToken;
+};
+
+/**
+ * Clear all auth cookies
+ */
+const clearAuthCookies = (res) => {
+  const options = getCookieOptions();
+
+  res.clearCookie(ACCESS_COOKIE, { ...options, path: '/' });
+  res.clearCookie(REFRESH_COOKIE, { ...options, path: '/api/auth' });
+  res.clearCookie(CSRF_COOKIE, { ...options, path: '/' });
+};
+
+/**
+ * Double-submit check: the CSRF header must match the CSRF cookie
+ */
+const hasValidCsrfToken = (req) => {
+  if (!UNSAFE_METHODS.includes(req.method)) return true;
+
+  const cookieToken = req.cookies && req.cookies[CSRF_COOKIE];
+  const headerToken = req.get(CSRF_HEADER);
+
+  if (!cookieToken || !headerToken || cookieToken.length !== headerToken.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(Buffer.from(cookieToken), Buffer.from(headerToken));
+};
+
+/**
+ * Read the access token from the Authorization header, falling back to the cookie
+ */
+const getRequestToken = (req) => {
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    return { token: req.headers.authorization.split(' ')[1], fromCookie: false };
+  }
+
+  if (isCookieAuthEnabled() && req.cookies && req.cookies[ACCESS_COOKIE]) {
+    return { token: req.cookies[ACCESS_COOKIE], fromCookie: true };
+  }
+
+  return { token: null, fromCookie: false };
+};
+
+/**
+ * Read the refresh token from the body, falling back to the cookie
+ */
+const getRequestRefreshToken = (req) => {
+  if (req.body && req.body.refreshToken) {
+    return { refreshToken: req.body.refreshToken, fromCookie: false };
+  }
+
+  if (isCookieAuthEnabled() && req.cookies && req.cookies[REFRESH_COOKIE]) {
+    return { refreshToken: req.cookies[REFRESH_COOKIE], fromCookie: true };
+  }
+
+  return { refreshToken: null, fromCookie: false };
+};
+
+module.exports = {
+  isCookieAuthEnabled,
+  setAuthCookies,
+  clearAuthCookies,
+  hasValidCsrfToken,
+  getRequestToken,
+  getRequestRefreshToken,
+};
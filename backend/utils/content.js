@@ -0,0 +1,55 @@
+/**
+ * Strip HTML tags and collapse whitespace
+ */
+const stripHtml = (html) => {
+  return String(html || '')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * Calculate reading time in minutes (average 200 words per minute)
+ */
+const calculateReadingTime = (plainText) => {
+  const wordCount = String(plainText || '').split(/\s+/).filter(Boolean).length;
+  return Math.max(1, Math.ceil(wordCount / 200));
+};
+
+/**
+ * Extract the first image URL from HTML content
+ */
+const extractFirstImage = (html) => {
+  const imageMatch = String(html || '').match(/<img[^>]+src="([^">]+)"/);
+  return imageMatch ? imageMatch[1] : null;
+};
+
+/**
+ * Normalize a list of tags, mapping aliases (a Map of alias => canonical name) when given
+ */
+const extractTags = (categories, aliases = null) => {
+  if (!Array.isArray(categories)) return [];
+
+  const tags = categories
+    .filter(cat => typeof cat === 'string')
+    .map(cat => cat.toLowerCase().trim())
+    .filter(Boolean)
+    .map(tag => (aliases && aliases.get(tag)) || tag);
+
+  return [...new Set(tags)].slice(0, 10); // Limit to 10 tags
+};
+
+/**
+ * Extract categories from a list of tags (same as tags, limited to 5)
+ */
+const extractCategories = (categories) => {
+  return extractTags(categories).slice(0, 5);
+};
+
+module.exports = {
+  stripHtml,
+  calculateReadingTime,
+  extractFirstImage,
+  extractTags,
+  extractCategories,
+};
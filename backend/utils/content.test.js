@@ -0,0 +1,38 @@
+const { extractTags, extractCategories } = require('./content');
+
+describe('extractTags', () => {
+  it('lowercases, trims and de-duplicates tags', () => {
+    expect(extractTags([' JavaScript ', 'javascript', 'Node', '', 42])).toEqual(['javascript', 'node']);
+  });
+
+  it('returns no tags for anything but an array', () => {
+    expect(extractTags(undefined)).toEqual([]);
+    expect(extractTags('javascript')).toEqual([]);
+  });
+
+  it('maps aliases to their canonical tag', () => {
+    const aliases = new Map([['js', 'javascript'], ['reactjs', 'react']]);
+
+    expect(extractTags(['JS', 'ReactJS', 'css'], aliases)).toEqual(['javascript', 'react', 'css']);
+  });
+
+  it('merges an alias with its canonical tag', () => {
+    const aliases = new Map([['js', 'javascript']]);
+
+    expect(extractTags(['javascript', 'js'], aliases)).toEqual(['javascript']);
+  });
+
+  it('keeps at most 10 tags', () => {
+    const categories = Array.from({ length: 12 }, (_, i) => `tag-${i}`);
+
+    expect(extractTags(categories)).toHaveLength(10);
+  });
+});
+
+describe('extractCategories', () => {
+  it('keeps at most 5 normalized categories', () => {
+    const categories = ['A', 'B', 'C', 'D', 'E', 'F'];
+
+    expect(extractCategories(categories)).toEqual(['a', 'b', 'c', 'd', 'e']);
+  });
+});
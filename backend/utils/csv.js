@@ -0,0 +1,33 @@
+/**
+ * Escape one CSV field. Values that spreadsheets would run as formulas are prefixed with a quote.
+ */
+const escapeCsvField = (value) => {
+  let text = value == null ? '' : String(value);
+
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+};
+
+/**
+ * Build a CSV document from column definitions ({ header, value(row) }) and rows
+ */
+const toCsv = (columns, rows) => {
+  const lines = [
+    columns.map(column => escapeCsvField(column.header)).join(','),
+    ...rows.map(row => columns.map(column => escapeCsvField(column.value(row))).join(',')),
+  ];
+
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  escapeCsvField,
+  toCsv,
+};
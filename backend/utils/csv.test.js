@@ -0,0 +1,43 @@
+const { escapeCsvField, toCsv } = require('./csv');
+
+describe('escapeCsvField', () => {
+  it('leaves plain values alone and turns missing ones into empty fields', () => {
+    expect(escapeCsvField('reader@example.com')).toBe('reader@example.com');
+    expect(escapeCsvField(42)).toBe('42');
+    expect(escapeCsvField(null)).toBe('');
+    expect(escapeCsvField(undefined)).toBe('');
+  });
+
+  it('quotes fields with commas, quotes or line breaks', () => {
+    expect(escapeCsvField('a,b')).toBe('"a,b"');
+    expect(escapeCsvField('say "hi"')).toBe('"say ""hi"""');
+    expect(escapeCsvField('line\nbreak')).toBe('"line\nbreak"');
+  });
+
+  it('neutralizes values a spreadsheet would run as formulas', () => {
+    expect(escapeCsvField('=HYPERLINK("http://evil")')).toBe('"\'=HYPERLINK(""http://evil"")"');
+    expect(escapeCsvField('+1')).toBe("'+1");
+    expect(escapeCsvField('-1')).toBe("'-1");
+    expect(escapeCsvField('@SUM(A1)')).toBe("'@SUM(A1)");
+  });
+});
+
+describe('toCsv', () => {
+  it('writes a header row and one CRLF-terminated row per record', () => {
+    const columns = [
+      { header: 'email', value: row => row.email },
+      { header: 'tags', value: row => row.tags.join(' ') },
+    ];
+
+    const csv = toCsv(columns, [
+      { email: 'a@example.com', tags: ['js', 'node'] },
+      { email: 'b@example.com', tags: [] },
+    ]);
+
+    expect(csv).toBe('email,tags\r\na@example.com,js node\r\nb@example.com,\r\n');
+  });
+
+  it('writes only the header without rows', () => {
+    expect(toCsv([{ header: 'email', value: row => row.email }], [])).toBe('email\r\n');
+  });
+});
@@ -0,0 +1,126 @@
+const sanitizeHtml = require('sanitize-html');
+
+const ALLOWED_TAGS = sanitizeHtml.defaults.allowedTags.concat([
+  'img', 'h1', 'h2', 'figure', 'figcaption', 'del', 'ins', 'sup', 'sub',
+]);
+
+const ALLOWED_ATTRIBUTES = {
+  a: ['href', 'title', 'rel', 'target'],
+  img: ['src', 'alt', 'title', 'width', 'height'],
+  code: ['class'],
+  th: ['align'],
+  td: ['align'],
+  '*': ['id'],
+};
+
+const ALLOWED_SCHEMES = ['http', 'https', 'mailto'];
+
+// Hosts whose iframes are kept in synced content (extend with SANITIZER_EMBED_HOSTS)
+const DEFAULT_EMBED_HOSTS = [
+  'www.youtube.com',
+  'www.youtube-nocookie.com',
+  'player.vimeo.com',
+  'codepen.io',
+  'codesandbox.io',
+  'stackblitz.com',
+];
+
+// Medium appends a 1x1 image to every RSS item to count reads
+const TRACKING_PIXEL_PATTERN = /stat\?event=post\.clientViewed/;
+
+/**
+ * Hosts allowed to be embedded with an iframe
+ */
+const getEmbedHosts = () => {
+  const extraHosts = (process.env.SANITIZER_EMBED_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+
+  return [...DEFAULT_EMBED_HOSTS, ...extraHosts];
+};
+
+/**
+ * Check that an iframe points at an allowlisted https embed
+ */
+const isAllowedEmbed = (src, embedHosts) => {
+  try {
+    const url = new URL(src);
+    return url.protocol === 'https:' && embedHosts.includes(url.hostname.toLowerCase());
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Sanitize HTML against an allowlist of tags and attributes
+ */
+const sanitize = (html) => {
+  return sanitizeHtml(String(html || ''), {
+    allowedTags: ALLOWED_TAGS,
+    allowedAttributes: ALLOWED_ATTRIBUTES,
+    allowedSchemes: ALLOWED_SCHEMES,
+  });
+};
+
+/**
+ * Sanitize HTML pulled from a feed. Besides the allowlist this keeps
+ * allowlisted embeds, marks links rel="noopener nofollow", drops Medium's
+ * tracking pixel and reports everything it removed.
+ */
+const sanitizeSyncedHtml = (html) => {
+  const removed = [];
+  const embedHosts = getEmbedHosts();
+  const allowedTags = [...ALLOWED_TAGS, 'iframe'];
+
+  const cleanHtml = sanitizeHtml(String(html || ''), {
+    allowedTags,
+    allowedAttributes: {
+      ...ALLOWED_ATTRIBUTES,
+      iframe: ['src', 'width', 'height', 'title', 'allow', 'allowfullscreen', 'frameborder'],
+    },
+    allowedSchemes: ALLOWED_SCHEMES,
+    onOpenTag: (tagName, attribs) => {
+      if (!allowedTags.includes(tagName)) {
+        removed.push({ type: 'tag', detail: tagName });
+      }
+
+      Object.keys(attribs)
+        .filter(name => /^on/i.test(name))
+        .forEach(name => removed.push({ type: 'handler', detail: `${tagName}[${name}]` }));
+
+      if (/^\s*(javascript|vbscript|data):/i.test(attribs.href || '')) {
+        removed.push({ type: 'url', detail: `${tagName}[href]` });
+      }
+    },
+    exclusiveFilter: (frame) => {
+      if (frame.tag === 'iframe' && !isAllowedEmbed(frame.attribs.src, embedHosts)) {
+        removed.push({ type: 'iframe', detail: frame.attribs.src || '' });
+        return true;
+      }
+
+      if (frame.tag === 'img' && TRACKING_PIXEL_PATTERN.test(frame.attribs.src || '')) {
+        removed.push({ type: 'tracking_pixel', detail: frame.attribs.src });
+        return true;
+      }
+
+      return false;
+    },
+    transformTags: {
+      a: (tagName, attribs) => ({
+        tagName,
+        attribs: { ...attribs, rel: 'noopener nofollow' },
+      }),
+    },
+  });
+
+  return {
+    html: cleanHtml,
+    removed,
+  };
+};
+
+module.exports = {
+  sanitize,
+  sanitizeSyncedHtml,
+};
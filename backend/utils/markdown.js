@@ -0,0 +1,14 @@
+const { marked } = require('marked');
+const { sanitize } = require('./htmlSanitizer');
+
+/**
+ * Render Markdown to sanitized HTML
+ */
+const renderMarkdown = (markdown) => {
+  const html = marked.parse(String(markdown || ''), { async: false, gfm: true });
+  return sanitize(html);
+};
+
+module.exports = {
+  renderMarkdown,
+};
@@ -0,0 +1,114 @@
+const MAX_QUERY_LENGTH = 100;
+const MAX_TERMS = 10;
+
+/**
+ * Escape a string for use inside a regular expression
+ */
+const escapeRegExp = (value) => {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
+/**
+ * Escape text for safe insertion into HTML
+ */
+const escapeHtml = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+/**
+ * Turn user input into plain search terms. Quotes and leading dashes are
+ * MongoDB $text operators (phrases, negation), so they are dropped.
+ */
+const parseSearchQuery = (input) => {
+  const value = Array.isArray(input) ? input[0] : input;
+  const terms = String(value || '')
+    .substring(0, MAX_QUERY_LENGTH)
+    .toLowerCase()
+    .split(/[\s"]+/)
+    .map(term => term.replace(/^-+/, '').replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, ''))
+    .filter(Boolean);
+
+  const uniqueTerms = [...new Set(terms)].slice(0, MAX_TERMS);
+
+  return {
+    text: uniqueTerms.join(' '),
+    terms: uniqueTerms,
+  };
+};
+
+/**
+ * Build a regex matching words that start with the stem of any term
+ * ($text search is stemmed, so "routing" should also highlight "routes")
+ */
+const buildTermPattern = (terms) => {
+  const words = terms
+    .flatMap(term => term.split(/[^\p{L}\p{N}]+/u))
+    .filter(word => word.length >= 2)
+    .map(word => word.replace(/(ing|ed|es|s)$/, stem => (word.length - stem.length >= 3 ? '' : stem)));
+
+  if (words.length === 0) return null;
+
+  const alternatives = [...new Set(words)]
+    .map(escapeRegExp)
+    .sort((a, b) => b.length - a.length);
+
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})[\\p{L}\\p{N}]*`, 'giu');
+};
+
+/**
+ * HTML-escape text and wrap term matches in <mark>
+ */
+const highlight = (text, terms) => {
+  const pattern = buildTermPattern(terms);
+  if (!pattern) return escapeHtml(text);
+
+  let result = '';
+  let lastIndex = 0;
+
+  for (const match of String(text).matchAll(pattern)) {
+    result += escapeHtml(text.substring(lastIndex, match.index));
+    result += `<mark>${escapeHtml(match[0])}</mark>`;
+    lastIndex = match.index + match[0].length;
+  }
+
+  return result + escapeHtml(text.substring(lastIndex));
+};
+
+/**
+ * Cut a highlighted snippet of plain text around the first match
+ */
+const buildSnippet = (text, terms, length = 200) => {
+  const plainText = String(text || '');
+  const pattern = buildTermPattern(terms);
+  const match = pattern ? pattern.exec(plainText) : null;
+
+  if (!match) {
+    const snippet = plainText.substring(0, length);
+    return escapeHtml(snippet) + (plainText.length > length ? '…' : '');
+  }
+
+  // Start a little before the match, on a word boundary
+  let start = Math.max(0, match.index - Math.floor(length / 3));
+  if (start > 0) {
+    const nextSpace = plainText.indexOf(' ', start);
+    start = nextSpace !== -1 && nextSpace < match.index ? nextSpace + 1 : start;
+  }
+  const end = Math.min(plainText.length, start + length);
+
+  return (start > 0 ? '…' : '') +
+    highlight(plainText.substring(start, end), terms) +
+    (end < plainText.length ? '…' : '');
+};
+
+module.exports = {
+  escapeRegExp,
+  escapeHtml,
+  parseSearchQuery,
+  highlight,
+  buildSnippet,
+};
@@ -0,0 +1,105 @@
+// Words too common to say anything about a post's topic
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'your', 'all', 'any', 'can', 'had', 'her',
+  'was', 'one', 'our', 'out', 'has', 'have', 'him', 'his', 'how', 'its', 'may', 'new', 'now',
+  'old', 'see', 'two', 'who', 'did', 'get', 'got', 'let', 'say', 'she', 'too', 'use', 'used',
+  'using', 'that', 'this', 'with', 'from', 'they', 'them', 'then', 'than', 'there', 'their',
+  'what', 'when', 'where', 'which', 'will', 'would', 'could', 'should', 'about', 'into', 'just',
+  'like', 'more', 'most', 'some', 'such', 'only', 'also', 'very', 'been', 'being', 'were',
+  'each', 'other', 'over', 'here', 'these', 'those', 'because', 'while', 'does', 'doing', 'make',
+  'want', 'need', 'first', 'well', 'even', 'much', 'many', 'back', 'after', 'before', 'again',
+]);
+
+/**
+ * Split text into lowercase terms, dropping short words and stop words
+ */
+const tokenize = (text) => {
+  return (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(term => term.length >= 3 && !STOP_WORDS.has(term) && !/^\d+$/.test(term));
+};
+
+/**
+ * Inverse document frequency of every key across a list of documents (arrays of keys)
+ */
+const inverseDocumentFrequencies = (documents) => {
+  const documentFrequencies = new Map();
+
+  documents.forEach(keys => {
+    new Set(keys).forEach(key => {
+      documentFrequencies.set(key, (documentFrequencies.get(key) || 0) + 1);
+    });
+  });
+
+  const idf = new Map();
+  documentFrequencies.forEach((frequency, key) => {
+    idf.set(key, Math.log(1 + documents.length / frequency));
+  });
+
+  return idf;
+};
+
+/**
+ * TF-IDF vector (Map of term => weight, L2-normalized) for a list of terms
+ */
+const buildTermVector = (terms, idf) => {
+  const counts = new Map();
+  terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+
+  const vector = new Map();
+  let norm = 0;
+
+  counts.forEach((count, term) => {
+    const weight = (1 + Math.log(count)) * (idf.get(term) || 0);
+    vector.set(term, weight);
+    norm += weight * weight;
+  });
+
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    vector.forEach((weight, term) => vector.set(term, weight / norm));
+  }
+
+  return vector;
+};
+
+/**
+ * Cosine similarity of two normalized term vectors
+ */
+const cosineSimilarity = (a, b) => {
+  const [smaller, larger] = a.size <= b.size ? [a, b] : [b, a];
+  let dot = 0;
+
+  smaller.forEach((weight, term) => {
+    const other = larger.get(term);
+    if (other) dot += weight * other;
+  });
+
+  return dot;
+};
+
+/**
+ * Weighted Jaccard overlap of two tag lists: shared weight over combined weight,
+ * so sharing a rare tag counts for more than sharing a broad one
+ */
+const tagSimilarity = (tagsA, tagsB, idf) => {
+  const setA = new Set(tagsA);
+  const setB = new Set(tagsB);
+  let shared = 0;
+  let combined = 0;
+
+  new Set([...setA, ...setB]).forEach(tag => {
+    const weight = idf.get(tag) || 0;
+    combined += weight;
+    if (setA.has(tag) && setB.has(tag)) shared += weight;
+  });
+
+  return combined > 0 ? shared / combined : 0;
+};
+
+module.exports = {
+  tokenize,
+  inverseDocumentFrequencies,
+  buildTermVector,
+  cosineSimilarity,
+  tagSimilarity,
+};
@@ -0,0 +1,82 @@
+const {
+  tokenize,
+  inverseDocumentFrequencies,
+  buildTermVector,
+  cosineSimilarity,
+  tagSimilarity,
+} = require('./similarity');
+
+describe('tokenize', () => {
+  it('keeps lowercase topic words and drops short words, stop words and numbers', () => {
+    expect(tokenize('Using the React Hooks API in 2024, so it works!')).toEqual(['react', 'hooks', 'api', 'works']);
+  });
+
+  it('keeps accented letters and handles missing text', () => {
+    expect(tokenize('Café überall')).toEqual(['café', 'überall']);
+    expect(tokenize(null)).toEqual([]);
+  });
+});
+
+describe('inverseDocumentFrequencies', () => {
+  it('weights rare keys above common ones and counts a key once per document', () => {
+    const idf = inverseDocumentFrequencies([
+      ['javascript', 'react', 'react'],
+      ['javascript', 'node'],
+      ['javascript'],
+    ]);
+
+    expect(idf.get('javascript')).toBeCloseTo(Math.log(2));
+    expect(idf.get('react')).toBeCloseTo(Math.log(4));
+    expect(idf.get('react')).toBeGreaterThan(idf.get('javascript'));
+  });
+});
+
+describe('buildTermVector and cosineSimilarity', () => {
+  const documents = [
+    tokenize('react hooks state management'),
+    tokenize('react hooks testing'),
+    tokenize('postgres indexes query planning'),
+  ];
+  const idf = inverseDocumentFrequencies(documents);
+  const [hooks, testing, postgres] = documents.map(terms => buildTermVector(terms, idf));
+
+  it('builds unit-length vectors', () => {
+    const length = Math.sqrt([...hooks.values()].reduce((sum, weight) => sum + weight * weight, 0));
+
+    expect(length).toBeCloseTo(1);
+  });
+
+  it('scores identical documents 1, related ones in between and unrelated ones 0', () => {
+    expect(cosineSimilarity(hooks, hooks)).toBeCloseTo(1);
+    expect(cosineSimilarity(hooks, testing)).toBeGreaterThan(0);
+    expect(cosineSimilarity(hooks, testing)).toBeLessThan(1);
+    expect(cosineSimilarity(hooks, postgres)).toBe(0);
+  });
+
+  it('is symmetric', () => {
+    expect(cosineSimilarity(hooks, testing)).toBeCloseTo(cosineSimilarity(testing, hooks));
+  });
+
+  it('leaves an empty vector for documents without terms', () => {
+    expect(buildTermVector([], idf).size).toBe(0);
+    expect(cosineSimilarity(buildTermVector([], idf), hooks)).toBe(0);
+  });
+});
+
+describe('tagSimilarity', () => {
+  const idf = new Map([['javascript', 0.5], ['react', 2], ['node', 2]]);
+
+  it('counts a shared rare tag for more than a shared common one', () => {
+    const sharedRare = tagSimilarity(['javascript', 'react'], ['node', 'react'], idf);
+    const sharedCommon = tagSimilarity(['javascript', 'react'], ['javascript', 'node'], idf);
+
+    expect(sharedRare).toBeCloseTo(2 / 4.5);
+    expect(sharedCommon).toBeCloseTo(0.5 / 4.5);
+  });
+
+  it('is 1 for identical tags and 0 without overlap or tags', () => {
+    expect(tagSimilarity(['react', 'node'], ['node', 'react'], idf)).toBeCloseTo(1);
+    expect(tagSimilarity(['react'], ['node'], idf)).toBe(0);
+    expect(tagSimilarity([], [], idf)).toBe(0);
+  });
+});
@@ -0,0 +1,47 @@
+// Ordered so that more specific tokens win (Edge and Opera also claim to be Chrome)
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Safari', /Safari\//],
+  ['curl', /^curl\//],
+];
+
+const OPERATING_SYSTEMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/],
+];
+
+// Crawlers, link unfurlers, monitors and HTTP libraries
+const BOT_PATTERN = /bot|crawl|spider|slurp|archiver|facebookexternalhit|embedly|quora link preview|whatsapp|telegram|discord|preview|monitor|pingdom|uptime|headless|lighthouse|curl\/|wget\/|python-requests|axios\/|node-fetch|go-http-client|java\/|okhttp|postman|insomnia/i;
+
+/**
+ * Describe the device behind a User-Agent header, e.g. "Chrome on macOS"
+ */
+const describeDevice = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+  const os = OPERATING_SYSTEMS.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !os) return 'Unknown device';
+  if (!os) return browser[0];
+  if (!browser) return os[0];
+  return `${browser[0]} on ${os[0]}`;
+};
+
+/**
+ * Whether a User-Agent belongs to a crawler or script (a missing header counts as one)
+ */
+const isBot = (userAgent) => {
+  return !userAgent || BOT_PATTERN.test(userAgent);
+};
+
+module.exports = {
+  describeDevice,
+  isBot,
+};
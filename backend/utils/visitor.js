@@ -0,0 +1,18 @@
+const crypto = require('crypto');
+
+/**
+ * Privacy-preserving visitor fingerprint: a keyed hash of IP and user agent.
+ * The raw values are never stored and the hash cannot be reversed without the secret.
+ */
+const getVisitorHash = (req) => {
+  const secret = process.env.VISITOR_HASH_SECRET || process.env.JWT_SECRET || '';
+  const userAgent = req.get('user-agent') || '';
+
+  return crypto.createHmac('sha256', secret)
+    .update(`${req.ip}|${userAgent}`)
+    .digest('hex');
+};
+
+module.exports = {
+  getVisitorHash,
+};
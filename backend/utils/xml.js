@@ -0,0 +1,15 @@
+/**
+ * Escape text for XML element content and attributes
+ */
+const escapeXml = (value) => {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+};
+
+module.exports = {
+  escapeXml,
+};
@@ -11,7 +11,9 @@ interface BlogPost {
   author: string;
   tags: string[];
   categories: string[];
-  mediumUrl: string;
+  source: string;
+  sourceUrl?: string;
+  mediumUrl?: string;
   imageUrl?: string;
   publishedAt: string;
   readingTime: number;
@@ -21,6 +23,24 @@ interface BlogPost {
   timeAgo: string;
 }
 
+const SOURCE_LABELS: Record<string, string> = {
+  medium: 'Medium',
+  devto: 'Dev.to',
+  hashnode: 'Hashnode',
+};
+
+interface TagCount {
+  name: string;
+  count: number;
+}
+
+interface TagsResponse {
+  status: string;
+  data: {
+    tags: TagCount[];
+  };
+}
+
 interface BlogResponse {
   status: string;
   results: number;
@@ -42,7 +62,7 @@ const Blog = () => {
   const [totalPages, setTotalPages] = useState(1);
   const [searchTerm, setSearchTerm] = useState('');
   const [selectedTag, setSelectedTag] = useState('');
-  const [allTags, setAllTags] = useState<string[]>([]);
+  const [allTags, setAllTags] = useState<TagCount[]>([]);
   const sectionRef = useRef<HTMLElement>(null);
   const { toast } = useToast();
 
@@ -84,11 +104,6 @@ const Blog = () => {
         if (data.data.featuredPosts && page === 1 && !search && !tags) {
           setFeaturedPosts(data.data.featuredPosts);
         }
-
-        // Extract unique tags
-        const tags = data.data.posts.flatMap(post => post.tags);
-        const uniqueTags = [...new Set(tags)].sort();
-        setAllTags(uniqueTags);
       } else {
         throw new Error(data.message || 'Failed to fetch blog posts');
       }
@@ -108,6 +123,24 @@ const Blog = () => {
     fetchBlogPosts(1, searchTerm, selectedTag);
   }, [searchTerm, selectedTag]);
 
+  // Tags of all published posts (most used first), not just the current page
+  useEffect(() => {
+    const fetchTags = async () => {
+      try {
+        const response = await fetch('/api/blog/tags');
+        const data: TagsResponse = await response.json();
+
+        if (data.status === 'success') {
+          setAllTags(data.data.tags);
+        }
+      } catch (error) {
+        console.error('Error fetching blog tags:', error);
+      }
+    };
+
+    fetchTags();
+  }, []);
+
   const handleSearch = (e: React.FormEvent) => {
     e.preventDefault();
     setCurrentPage(1);
@@ -209,12 +242,12 @@ const Blog = () => {
             {post.views} views
           </div>
           <a
-            href={post.mediumUrl}
+            href={post.sourceUrl || post.mediumUrl || `/blog/${post.slug}`}
             target="_blank"
             rel="noopener noreferrer"
             className="inline-flex items-center gap-2 text-primary hover:text-primary-light transition-colors font-medium"
           >
-            Read on Medium
+            {post.source === 'native' ? 'Read article' : `Read on ${SOURCE_LABELS[post.source] || 'the original site'}`}
             <ExternalLink size={16} />
           </a>
         </div>
@@ -304,7 +337,7 @@ const Blog = () => {
           <h2 className="section-title">Blog & Articles</h2>
           <p className="text-center text-muted-foreground mb-16 max-w-2xl mx-auto text-lg">
             Thoughts, tutorials, and insights about web development, technology, and design.
-            All articles are originally published on Medium.
+            Articles are collected from Medium and the other platforms I publish on.
           </p>
 
           {/* Search and Filter */}
@@ -339,15 +372,16 @@ const Blog = () => {
                 </button>
                 {allTags.slice(0, 8).map((tag) => (
                   <button
-                    key={tag}
-                    onClick={() => handleTagFilter(tag)}
+                    key={tag.name}
+                    onClick={() => handleTagFilter(tag.name)}
                     className={`px-3 py-1 text-sm rounded-full border transition-colors ${
-                      selectedTag === tag
+                      selectedTag === tag.name
                         ? 'bg-primary text-primary-foreground border-primary'
                         : 'bg-muted text-muted-foreground border-border hover:border-primary'
                     }`}
                   >
-                    {tag}
+                    {tag.name}
+                    <span className="ml-1 opacity-70">{tag.count}</span>
                   </button>
                 ))}
               </div>
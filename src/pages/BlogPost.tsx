@@ -0,0 +1,146 @@
+import { useEffect, useState } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { ArrowLeft, Calendar, Clock, Tag, User } from 'lucide-react';
+import Footer from '@/components/Footer';
+import NotFound from './NotFound';
+
+interface Post {
+  _id: string;
+  title: string;
+  slug: string;
+  description: string;
+  content: string;
+  author: string;
+  tags: string[];
+  imageUrl?: string;
+  publishedAt: string;
+  readingTime: number;
+  formattedDate: string;
+}
+
+interface PostResponse {
+  status: string;
+  message?: string;
+  data: {
+    post: Post;
+  };
+}
+
+const BlogPost = () => {
+  const { slug } = useParams<{ slug: string }>();
+  const navigate = useNavigate();
+  const [post, setPost] = useState<Post | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [notFound, setNotFound] = useState(false);
+
+  useEffect(() => {
+    const fetchPost = async () => {
+      try {
+        setLoading(true);
+        setNotFound(false);
+
+        // Renamed posts answer with a redirect, which fetch follows to the current slug
+        const response = await fetch(`/api/blog/${encodeURIComponent(slug || '')}`);
+        const data: PostResponse = await response.json();
+
+        if (data.status !== 'success') {
+          throw new Error(data.message || 'Failed to fetch blog post');
+        }
+
+        setPost(data.data.post);
+        document.title = data.data.post.title;
+
+        if (data.data.post.slug !== slug) {
+          navigate(`/blog/${data.data.post.slug}`, { replace: true });
+        }
+      } catch (error) {
+        console.error('Error fetching blog post:', error);
+        setNotFound(true);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchPost();
+  }, [slug, navigate]);
+
+  if (notFound) {
+    return <NotFound />;
+  }
+
+  return (
+    <div className="min-h-screen flex flex-col">
+      <main className="section-container flex-1">
+        <div className="max-w-3xl mx-auto">
+          <a
+            href="/#blog"
+            className="inline-flex items-center gap-2 text-primary hover:text-primary-light transition-colors font-medium mb-8"
+          >
+            <ArrowLeft size={16} />
+            Back to blog
+          </a>
+
+          {loading || !post ? (
+            <div className="space-y-4 animate-pulse">
+              <div className="h-10 bg-muted rounded w-3/4"></div>
+              <div className="h-4 bg-muted rounded w-1/2"></div>
+              <div className="h-64 bg-muted rounded"></div>
+            </div>
+          ) : (
+            <article className="space-y-8">
+              <header className="space-y-4">
+                <h1 className="font-bold leading-tight">{post.title}</h1>
+
+                <div className="flex flex-wrap items-center gap-4 text-sm text-muted-foreground">
+                  <div className="flex items-center gap-1">
+                    <Calendar size={14} />
+                    <time dateTime={post.publishedAt}>{post.formattedDate}</time>
+                  </div>
+                  <div className="flex items-center gap-1">
+                    <Clock size={14} />
+                    <span>{post.readingTime} min read</span>
+                  </div>
+                  <div className="flex items-center gap-1">
+                    <User size={14} />
+                    <span>{post.author}</span>
+                  </div>
+                </div>
+
+                {post.tags.length > 0 && (
+                  <div className="flex flex-wrap gap-2">
+                    {post.tags.map(tag => (
+                      <span
+                        key={tag}
+                        className="inline-flex items-center gap-1 px-2 py-1 text-xs rounded-full border bg-muted text-muted-foreground border-border"
+                      >
+                        <Tag size={10} />
+                        {tag}
+                      </span>
+                    ))}
+                  </div>
+                )}
+              </header>
+
+              {post.imageUrl && (
+                <img
+                  src={post.imageUrl}
+                  alt={post.title}
+                  className="w-full rounded-lg object-cover"
+                />
+              )}
+
+              {/* Content is rendered and sanitized by the API */}
+              <div
+                className="blog-content"
+                dangerouslySetInnerHTML={{ __html: post.content }}
+              />
+            </article>
+          )}
+        </div>
+      </main>
+      <Footer />
+    </div>
+  );
+};
+
+export default BlogPost;
@@ -0,0 +1,92 @@
+import { useState } from 'react';
+import { useParams } from 'react-router-dom';
+import { ArrowLeft, CheckCircle, XCircle } from 'lucide-react';
+
+interface NewsletterProps {
+  action: 'confirm' | 'unsubscribe';
+}
+
+interface NewsletterResponse {
+  status: string;
+  message: string;
+}
+
+const COPY = {
+  confirm: {
+    title: 'Confirm your subscription',
+    description: 'Confirm to start receiving new blog posts by email.',
+    button: 'Confirm subscription',
+  },
+  unsubscribe: {
+    title: 'Unsubscribe',
+    description: 'Stop receiving new blog posts by email.',
+    button: 'Unsubscribe',
+  },
+};
+
+// Landing page for the links in newsletter emails. The token is only posted to the API
+// on click, so link scanners that open the email links cannot act on them.
+const Newsletter = ({ action }: NewsletterProps) => {
+  const { token } = useParams<{ token: string }>();
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [result, setResult] = useState<{ success: boolean; message: string } | null>(null);
+  const copy = COPY[action];
+
+  const handleSubmit = async () => {
+    try {
+      setIsSubmitting(true);
+
+      const response = await fetch(`/api/newsletter/${action}/${encodeURIComponent(token || '')}`, {
+        method: 'POST',
+      });
+      const data: NewsletterResponse = await response.json();
+
+      setResult({ success: data.status === 'success', message: data.message });
+    } catch (error) {
+      console.error(`Error processing newsletter ${action}:`, error);
+      setResult({ success: false, message: 'Something went wrong. Please try again later.' });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center section-container">
+      <div className="portfolio-card max-w-md w-full text-center space-y-6">
+        {result ? (
+          <>
+            {result.success ? (
+              <CheckCircle className="mx-auto text-primary" size={48} />
+            ) : (
+              <XCircle className="mx-auto text-destructive" size={48} />
+            )}
+            <p className="text-lg">{result.message}</p>
+          </>
+        ) : (
+          <>
+            <h1 className="text-3xl font-bold">{copy.title}</h1>
+            <p className="text-muted-foreground">{copy.description}</p>
+            <button
+              type="button"
+              onClick={handleSubmit}
+              disabled={isSubmitting}
+              className="btn-hero w-full flex items-center justify-center disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isSubmitting ? 'Please wait...' : copy.button}
+            </button>
+          </>
+        )}
+
+        <a
+          href="/#blog"
+          className="inline-flex items-center gap-2 text-primary hover:text-primary-light transition-colors font-medium"
+        >
+          <ArrowLeft size={16} />
+          Back to the blog
+        </a>
+      </div>
+    </div>
+  );
+};
+
+export default Newsletter;